@@ -3,7 +3,11 @@ import fs from "fs/promises";
 import OpenAI from "openai";
 
 import { buildNumbering } from "../grid/numbering.js";
-import { fromStrings } from "../grid/gridModel.js";
+import {
+  fromStrings,
+  annotationsFromJSON,
+  barsFromJSON,
+} from "../grid/gridModel.js";
 import { RULES } from "../config/rules.js";
 import { buildSystemPrompt, buildCluePrompt } from "../ai/promptTemplates.js";
 
@@ -53,8 +57,12 @@ export async function writeCluesFromGrid({
     ])
   );
 
+  const annotations = annotationsFromJSON(gridDoc.annotations);
+  // Barred grids carry their bars; block grids have none
+  const bars = gridDoc.bars ? barsFromJSON(gridDoc.bars) : undefined;
+
   // 2. Build the numbered entries from the grid
-  const { across, down } = buildNumbering(grid, assignments);
+  const { across, down } = buildNumbering(grid, assignments, annotations, bars);
   const acrossEntries = across.map((e) => ({ num: e.num, answer: e.answer }));
   const downEntries = down.map((e) => ({ num: e.num, answer: e.answer }));
 
@@ -93,10 +101,16 @@ export async function writeCluesFromGrid({
   allClues.across.sort((a, b) => a.num - b.num);
   allClues.down.sort((a, b) => a.num - b.num);
 
+  // Carry circled/shaded positions onto each clue for exporters
+  attachAnnotations(allClues.across, across);
+  attachAnnotations(allClues.down, down);
+
   // 5. Persist the final clues document
   const finalClues = {
     topic,
     difficulty,
+    annotations: gridDoc.annotations || {},
+    ...(gridDoc.bars ? { bars: gridDoc.bars } : {}),
     ...allClues,
     writtenAt: new Date().toISOString(),
   };
@@ -104,3 +118,14 @@ export async function writeCluesFromGrid({
 
   return { ...allClues, writtenPath: outPath };
 }
+
+function attachAnnotations(clues, entries) {
+  const byNum = new Map(entries.map((e) => [e.num, e]));
+  for (const clue of clues) {
+    const entry = byNum.get(clue.num);
+    if (!entry) continue;
+    for (const kind of RULES.annotationKinds) {
+      if (entry[kind]) clue[kind] = entry[kind];
+    }
+  }
+}
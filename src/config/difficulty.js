@@ -1,12 +1,29 @@
 // src/config/difficulty.js
 
+// Block budgets below are tuned for this grid size and scaled by area for others.
+const REFERENCE_SIZE = 12;
+// Area scaling overshoots on smaller grids (a 5×5 at level 3 would be half
+// blocks), so their block budgets are capped at this share of the cells.
+const SMALL_GRID_BLOCK_SHARE = 0.25;
+
 const BASE = {
   // The min/max number of black squares. More blocks = easier puzzle.
   blockBudget: { min: 28, max: 32 },
 
+  // British grids: the min/max number of blocks added on top of their
+  // lattice (a block at every odd row/column crossing). The lattice already
+  // breaks the grid up, so far fewer than blockBudget.
+  britishBlockBudget: { min: 6, max: 10 },
+
+  // Barred grids: the min/max number of bars between cells.
+  barBudget: { min: 30, max: 40 },
+
   // When a slot's word list is below this, fetch more from OneLook.
   hydrateIfBelow: 12,
 
+  // How many word-source requests the hydrator keeps in flight at once.
+  hydrateConcurrency: 4,
+
   // How long the solver will run before timing out (in milliseconds).
   timeoutMs: 60000,
 
@@ -17,11 +34,37 @@ const BASE = {
   // How many steps to "look ahead" when choosing a word. Higher is smarter but slower.
   lcvDepth: 1,
 
+  // How far each placement prunes: "forward" re-checks only the crossings of
+  // the placed slot; "ac3" keeps every domain arc-consistent.
+  propagation: "ac3",
+
+  // --- FILL QUALITY ---
+  // Words scoring below this (0-100, see RULES.defaultWordScore) are never
+  // used as fill. Theme and locked entries are exempt.
+  minWordScore: 40,
+
+  // How much word score counts against LCV when ordering candidates (0-1).
+  scoreWeight: 0.4,
+
   // The order of tie-breakers when choosing the next slot to fill.
   tieBreak: ["crossingsDesc", "lenDesc", "alphaAsc"],
 
   // Whether to shuffle candidates before scoring them. Adds variety.
   shuffleCandidates: true,
+
+  // How many valid layouts to sample and score before picking the best.
+  layoutSamples: 24,
+
+  // How many theme entries to place, in symmetric pairs (fewer if the
+  // theme words don't fit the layout).
+  themeSlots: 3,
+
+  // How many times a stuck layout is repaired (blocks added or moved around
+  // its starved entries) before the planner moves on to the next layout.
+  // Repairs share the attempt's timeoutMs rather than getting their own.
+  layoutRepairs: 2,
+  // Share of an attempt's timeoutMs held back for repairs.
+  repairTimeShare: 0.5,
 };
 
 const LEVELS = {
@@ -29,11 +72,13 @@ const LEVELS = {
     name: "easy",
     blockBudget: { min: 30, max: 34 },
     themeSlots: 2,
+    minWordScore: 50, // familiar fill only
   },
   2: {
     name: "easy+",
     blockBudget: { min: 30, max: 34 },
     themeSlots: 2,
+    minWordScore: 45,
   },
   3: {
     name: "medium",
@@ -42,25 +87,59 @@ const LEVELS = {
   4: {
     name: "medium+",
     blockBudget: { min: 28, max: 32 },
+    minWordScore: 35,
   },
   5: {
     name: "hard",
     blockBudget: { min: 26, max: 30 },
     lcvDepth: 2, // Deeper lookahead for harder puzzles
+    minWordScore: 30,
   },
   6: {
     name: "hard+",
     blockBudget: { min: 26, max: 30 },
     lcvDepth: 2,
+    minWordScore: 25,
   },
   7: {
     name: "expert",
     blockBudget: { min: 24, max: 28 },
     lcvDepth: 2,
+    minWordScore: 20, // obscure fill is fair game
   },
 };
 
-export function getDifficultyConfig(level = 3) {
+/** Scale a 12×12 block (or bar) budget to an N×N grid by area. */
+function scaleBlockBudget({ min, max }, size) {
+  const f = (size * size) / (REFERENCE_SIZE * REFERENCE_SIZE);
+  const lo = Math.round(min * f);
+  return { min: lo, max: Math.max(lo, Math.round(max * f)) };
+}
+
+/**
+ * The settings for a difficulty level, with budgets scaled to `size`. For
+ * British grids `blockBudget` counts the lattice plus britishBlockBudget.
+ */
+export function getDifficultyConfig(
+  level = 3,
+  { size = REFERENCE_SIZE, style } = {}
+) {
   const lvl = LEVELS[level] || LEVELS[3];
-  return { ...BASE, ...lvl, level };
+  const cfg = { ...BASE, ...lvl, level, size };
+  if (style === "british") {
+    const lattice = Math.floor(size / 2) ** 2;
+    const extra = scaleBlockBudget(cfg.britishBlockBudget, size);
+    cfg.blockBudget = { min: lattice + extra.min, max: lattice + extra.max };
+  } else {
+    cfg.blockBudget = scaleBlockBudget(cfg.blockBudget, size);
+    if (size < REFERENCE_SIZE) {
+      const cap = Math.floor(size * size * SMALL_GRID_BLOCK_SHARE);
+      cfg.blockBudget = {
+        min: Math.min(cfg.blockBudget.min, cap),
+        max: Math.min(cfg.blockBudget.max, cap),
+      };
+    }
+  }
+  cfg.barBudget = scaleBlockBudget(cfg.barBudget, size);
+  return cfg;
 }
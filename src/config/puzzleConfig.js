@@ -12,6 +12,74 @@ export const puzzleConfig = {
   negativePrompt:
     "Avoid overly technical physics terms, brand names of equipment, and rare or obscure imaging techniques.",
 
+  // Grid size (N×N). One of RULES.allowedGridSizes: 5 for minis, 15/21 for Sunday-size.
+  size: 12,
+
+  // Block symmetry: "rotational-180", "mirror", "diagonal", "four-way" or "none".
+  symmetry: "rotational-180",
+
+  // "american" (every letter checked), "british" (unchecked cells allowed;
+  // odd sizes only) or "barred" (bars between cells instead of black squares).
+  style: "american",
+
+  // Seed-pattern tags (src/data/patterns/<size>/<symmetry>.json), e.g. ["open"].
+  patternTags: [],
+
+  // Rebus squares: multi-letter tokens the solver must cross in one cell.
+  // Omit row/col to let the planner choose a cell, e.g. [{ token: "CT" }].
+  rebus: [],
+
+  // Circled/shaded cells, e.g. [{ kind: "circled", cells: [[r,c],...] }];
+  // `spells: "ULTRASOUND"` fixes their letters in reading order.
+  annotations: [],
+
+  // Optional user-supplied grid with locked words/letters (see solver/template.js),
+  // e.g. { grid: ["CAT.._", ...], entries: [{ row: 0, col: 0, dir: "down", word: "CUP" }] }.
+  // When set, no layout is generated and `size`/`symmetry` come from the template.
+  template: null,
+
   // Difficulty level, 1 (easiest) through 7 (hardest).
   difficulty: 1,
+
+  // How many alternative fills of the chosen layout to return (best first),
+  // and how many entries any two of them must differ in.
+  fills: 1,
+  minDistinctEntries: 4,
+
+  // On a failed attempt, find and print a small set of entries that cannot
+  // be filled together (also saved in solver_stats.json).
+  diagnose: false,
+
+  // Random seed for layouts, candidate shuffling and retries. null picks a
+  // fresh one; each run records its seed in grid_final.json/solver_stats.json
+  // so it can be replayed exactly.
+  seed: null,
+
+  // Where the solver fetches more words when a slot runs short, tried in
+  // order: "onelook" (live API), "local:<file or dir>" (word lists) or
+  // "fixture:<file.json>" (recorded responses). For offline runs, e.g.
+  // ["local:src/data/wordlist-general.txt", "fixture:src/data/onelook.json"].
+  wordSources: ["onelook"],
+
+  // On-disk cache of OneLook answers (src/data/hydration_cache.json), with
+  // negative entries for patterns that had none; false turns it off.
+  // Manage it with `npm run hydration-cache -- inspect|warm|clear`.
+  hydrationCache: { ttlDays: 30, negativeTtlDays: 3, maxEntries: 20000 },
+
+  // Words kept out of the pools and the grid (lists in src/data/blocklist/).
+  // `allow` lets listed words through for this puzzle; `block` adds more.
+  // Check the pools with `npm run blocklist:audit`.
+  blocklist: {
+    categories: ["profanity", "slurs", "medical"],
+    allow: [],
+    block: [],
+  },
+
+  // Only fill from pool words of these sources, e.g. ["local", "manual"];
+  // null uses every word. Sources are recorded per word in pools.json:
+  // "ai", "onelook", "local:<path>", "import:<file>", "manual", "legacy".
+  // A bare name matches its qualified forms ("local" keeps "local:<path>").
+  // Theme words are always allowed; words fetched mid-solve still come from
+  // `wordSources`.
+  poolSources: null,
 };
@@ -1,25 +1,45 @@
 // src/config/rules.js
 export const RULES = {
   // Grid + symbols
-  allowedGridSizes: [12], // extend later: [11,12,13,15]
+  allowedGridSizes: [5, 12, 13, 15, 21], // minis through Sunday-size
   blockChar: ".",
   unknownChar: "_",
 
   // Crossword style
-  symmetry: "rotational-180", // enforced on place/remove block
-  americanStyle: true, // every letter checked; no unchecked cells
+  symmetry: "rotational-180", // default; enforced on place/remove block
+  symmetryModes: ["rotational-180", "mirror", "diagonal", "four-way", "none"],
+  style: "american", // default; "american" = every letter checked
+  // "british" allows unchecked cells; "barred" separates entries with bars
+  // between cells instead of blocks and checks letters the British way
+  styles: ["american", "british", "barred"],
+  maxUncheckedRatio: 0.5, // british/barred: share of an entry's letters that may be unchecked
   minEntryLen: 3, // no 2-letter entries
   requireConnectivity: true, // one connected white-cell component
 
+  // Rebus: a cell may hold a multi-letter token (e.g. "CT", "MRI"). In pattern
+  // strings such cells are wrapped in braces so one cell stays one unit: "D_{CT}_R".
+  maxRebusLen: 5,
+  rebusOpen: "{",
+  rebusClose: "}",
+
+  // Cell annotations kept beside the grid (hidden-word themes etc.)
+  annotationKinds: ["circled", "shaded"],
+
   // Tokens/answers
   tokenRegex: /^[A-Z0-9_]+$/, // normalize() must satisfy this
   upperCaseAnswers: true,
+  // Fill quality: scored lists ("WORD;SCORE") rate words 0-100; words
+  // imported without a score get this one.
+  defaultWordScore: 50,
 
   // Validation toggles
   enforceNoTwoLetter: true,
   enforceCheckedLetters: true,
 };
 
+// Longest entry any allowed grid can hold (sizes pools + indexes)
+export const MAX_GRID_SIZE = Math.max(...RULES.allowedGridSizes);
+
 // Optional tiny helpers used across the app
 export const isValidToken = (s) => RULES.tokenRegex.test(String(s || ""));
 export const normalizeToken = (s) =>
@@ -27,6 +47,32 @@ export const normalizeToken = (s) =>
     .toUpperCase()
     .replace(/\s+/g, "");
 
+/** Join cell values into a pattern string, bracing rebus cells. */
+export function patternFromCells(cells) {
+  return cells
+    .map((ch) =>
+      ch.length > 1 ? `${RULES.rebusOpen}${ch}${RULES.rebusClose}` : ch
+    )
+    .join("");
+}
+
+/** Split a pattern string back into cell values; null if braces are unbalanced. */
+export function patternToCells(pattern) {
+  const cells = [];
+  const s = String(pattern || "");
+  for (let i = 0; i < s.length; i++) {
+    if (s[i] !== RULES.rebusOpen) {
+      cells.push(s[i]);
+      continue;
+    }
+    const end = s.indexOf(RULES.rebusClose, i + 1);
+    if (end === -1) return null;
+    cells.push(s.slice(i + 1, end));
+    i = end;
+  }
+  return cells;
+}
+
 export function assertGridSize(n) {
   if (!RULES.allowedGridSizes.includes(n)) {
     throw new Error(
@@ -36,3 +82,36 @@ export function assertGridSize(n) {
     );
   }
 }
+
+export function assertSymmetry(mode) {
+  if (!RULES.symmetryModes.includes(mode)) {
+    throw new Error(
+      `Symmetry "${mode}" not supported. Supported: ${RULES.symmetryModes.join(
+        ", "
+      )}`
+    );
+  }
+}
+
+export function assertStyle(style) {
+  if (!RULES.styles.includes(style)) {
+    throw new Error(
+      `Grid style "${style}" not supported. Supported: ${RULES.styles.join(
+        ", "
+      )}`
+    );
+  }
+}
+
+/**
+ * Generated British grids start from a lattice of blocks at every odd
+ * row/column crossing, which is only symmetric on odd sizes.
+ */
+export function assertStyleSize(style, size) {
+  if (style === "british" && size % 2 === 0) {
+    throw new Error(
+      `British grids need an odd size (their lattice of unchecked cells is ` +
+        `only symmetric then); got ${size}.`
+    );
+  }
+}
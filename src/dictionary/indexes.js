@@ -1,16 +1,25 @@
 // src/dictionary/indexes.js
-import { RULES, normalizeToken } from "../config/rules.js";
+import { RULES, normalizeToken, patternToCells } from "../config/rules.js";
+import { defaultBlocklist } from "../utils/blocklist.js";
+import { sourceMatches, LEGACY_SOURCE } from "../utils/poolsStore.js";
 
 /**
  * Build word indexes from a flat pool structure.
  *
- * @param {object} pools - e.g., { "3": ["CAT", "DOG"], "4": [...] }
+ * @param {object} pools - e.g., { "3": ["CAT", "DOG"], "4": [...], scores: { "CAT": 60 },
+ *   meta: { "CAT": { source: "ai", added: "2025-01-31", tags: [] } } }
  * @param {object} [opts]
  * @param {boolean} [opts.logs=false]
- * @returns {{byLen: Map<number, string[]>, posIndex: Map<number, Array<Map<string, Set<string>>>>}}
+ * @param {object} [opts.blocklist] words to leave out (default: every list);
+ *   they are kept aside in `withheld` so applyBlocklist() can let them back in
+ * @returns {{byLen: Map<number, string[]>, posIndex: Map<number, Array<Map<string, Uint32Array>>>, scores: Map<string, number>, sources: Map<string, string>, withheld: Map<number, string[]>}}
  */
-export function buildTieredIndexes(pools, { logs = false } = {}) {
+export function buildTieredIndexes(
+  pools,
+  { logs = false, blocklist = defaultBlocklist() } = {}
+) {
   const byLen = new Map();
+  const withheld = new Map();
 
   const entries =
     pools instanceof Map ? [...pools.entries()] : Object.entries(pools);
@@ -20,12 +29,17 @@ export function buildTieredIndexes(pools, { logs = false } = {}) {
     if (!Number.isFinite(L) || !Array.isArray(v)) continue;
 
     // Normalize, filter for valid tokens, dedupe, and sort
-    const words = [
+    const valid = [
       ...new Set(v.map(normalizeToken).filter((w) => RULES.tokenRegex.test(w))),
     ].sort();
+    const words = valid.filter((w) => !blocklist.has(w));
+    const dropped = valid.filter((w) => blocklist.has(w));
     if (words.length > 0) {
       byLen.set(L, words);
     }
+    if (dropped.length > 0) {
+      withheld.set(L, dropped);
+    }
   }
 
   if (logs) {
@@ -34,35 +48,140 @@ export function buildTieredIndexes(pools, { logs = false } = {}) {
 
   const posIndex = buildPosIndex(byLen);
 
+  const scores = new Map();
+  for (const [w, score] of Object.entries(pools?.scores || {})) {
+    if (Number.isFinite(score)) scores.set(normalizeToken(w), score);
+  }
+
+  // Where each word came from (see utils/poolsStore.js), for source filters
+  const sources = new Map();
+  for (const [w, meta] of Object.entries(pools?.meta || {})) {
+    if (meta?.source) sources.set(normalizeToken(w), meta.source);
+  }
+
   // Maintain the original return shape but without tiers for compatibility
   return {
     byLen: { both: byLen },
     posIndex: { both: posIndex },
+    scores,
+    sources,
+    withheld,
+  };
+}
+
+/** Fill-quality score of a word (RULES.defaultWordScore if unscored). */
+export function wordScore(indexes, word) {
+  return indexes?.scores?.get(word) ?? RULES.defaultWordScore;
+}
+
+/**
+ * A copy of `indexes` without the words scoring below `minScore`, so every
+ * lookup made through it (domains, forward checks, LCV) skips weak fill.
+ */
+export function restrictIndexesByScore(indexes, minScore) {
+  return restrictIndexes(indexes, (w) => wordScore(indexes, w) >= minScore);
+}
+
+/**
+ * A copy of `indexes` filtered by a (per-puzzle) blocklist instead of the one
+ * it was built with: words it blocks are dropped, and words the build left
+ * out (`withheld`) come back if it lets them through, e.g. via `allow`.
+ * Apply it before any other restriction; those drop `withheld`.
+ */
+export function applyBlocklist(indexes, blocklist) {
+  const byLen = new Map();
+  const withheld = new Map();
+  const lengths = new Set([
+    ...indexes.byLen.both.keys(),
+    ...(indexes.withheld?.keys() || []),
+  ]);
+  for (const L of lengths) {
+    const all = [
+      ...(indexes.byLen.both.get(L) || []),
+      ...(indexes.withheld?.get(L) || []),
+    ].sort();
+    const kept = all.filter((w) => !blocklist.has(w));
+    const dropped = all.filter((w) => blocklist.has(w));
+    if (kept.length > 0) byLen.set(L, kept);
+    if (dropped.length > 0) withheld.set(L, dropped);
+  }
+  return {
+    byLen: { both: byLen },
+    posIndex: { both: buildPosIndex(byLen) },
+    scores: indexes.scores,
+    sources: indexes.sources,
+    withheld,
+  };
+}
+
+/**
+ * A copy of `indexes` with only the words from the given sources. A source
+ * name also matches its qualified forms: "local" keeps "local:<path>" words.
+ * Words with no recorded source count as "legacy"; words in `always`
+ * (e.g. theme entries) are kept whatever their source.
+ */
+export function restrictIndexesBySource(
+  indexes,
+  sources,
+  { always = [] } = {}
+) {
+  const wanted = [].concat(sources);
+  const kept = new Set(always);
+  return restrictIndexes(indexes, (w) => {
+    if (kept.has(w)) return true;
+    const source = indexes.sources?.get(w) ?? LEGACY_SOURCE;
+    return wanted.some((f) => sourceMatches(source, f));
+  });
+}
+
+function restrictIndexes(indexes, keep) {
+  const byLen = new Map();
+  for (const [L, words] of indexes.byLen.both.entries()) {
+    const kept = words.filter(keep);
+    if (kept.length > 0) byLen.set(L, kept);
+  }
+  return {
+    byLen: { both: byLen },
+    posIndex: { both: buildPosIndex(byLen) },
+    scores: indexes.scores,
+    sources: indexes.sources,
   };
 }
 
-/** Build posIndex for each length: Array< Map<char, Set<word>> > of length L */
+/**
+ * Build posIndex for each length: Array< Map<char, Uint32Array> > of length L.
+ * Words are numbered by their place in byLen (sorted), and each bitset has
+ * bit n set when word n has that char at that position.
+ */
 function buildPosIndex(byLenMap) {
   const pos = new Map();
   for (const [L, words] of byLenMap.entries()) {
+    const blocks = Math.ceil(words.length / 32);
     const arr = Array.from({ length: L }, () => new Map());
-    for (const w of words) {
-      if (w.length !== L) continue;
+    words.forEach((w, n) => {
+      if (w.length !== L) return;
       for (let i = 0; i < L; i++) {
         const ch = w[i];
-        let bucket = arr[i].get(ch);
-        if (!bucket) {
-          bucket = new Set();
-          arr[i].set(ch, bucket);
+        let bits = arr[i].get(ch);
+        if (!bits) {
+          bits = new Uint32Array(blocks);
+          arr[i].set(ch, bits);
         }
-        bucket.add(w);
+        bits[n >>> 5] |= 1 << (n & 31);
       }
-    }
+    });
     pos.set(L, arr);
   }
   return pos;
 }
 
+/** Number of set bits in a 32-bit block. */
+function popcount(x) {
+  x -= (x >>> 1) & 0x55555555;
+  x = (x & 0x33333333) + ((x >>> 2) & 0x33333333);
+  return Math.imul((x + (x >>> 4)) & 0x0f0f0f0f, 0x01010101) >>> 24;
+}
+
 function logCoverageByLength({ label, map }) {
   const counts = {};
   for (const [L, arr] of map.entries()) counts[L] = arr.length;
@@ -75,64 +194,83 @@ function logCoverageByLength({ label, map }) {
 // ---------- Query: pattern → candidates ----------
 
 /**
- * Return candidates matching a pattern.
+ * The words of the pattern's letter length and the bitset of those that
+ * match it (null = every word). Returns null when nothing can match.
  */
-export function candidatesForPattern(indexes, length, pattern, opts = {}) {
-  const { limit = Infinity, order = "alpha" } = opts;
-
+function matchPattern(indexes, length, cellPattern) {
   // Adjusted to work with the simplified index structure
   const tier = "both"; // We only have one pool now
 
-  if (typeof pattern !== "string" || pattern.length !== length) return [];
-  if (!indexes?.byLen?.[tier] || !indexes?.posIndex?.[tier]) return [];
-
-  const byLen = indexes.byLen[tier];
-  const posIndex = indexes.posIndex[tier];
+  if (typeof cellPattern !== "string") return null;
+  const cells = patternToCells(cellPattern);
+  if (!cells || cells.length !== length) return null;
+  // Expand rebus cells in place: from here on, one pattern char = one letter.
+  const pattern = cells.join("");
+  const wordLen = pattern.length;
 
-  const words = byLen.get(length) || [];
-  if (words.length === 0) return [];
+  const words = indexes?.byLen?.[tier]?.get(wordLen) || [];
+  const pos = indexes?.posIndex?.[tier]?.get(wordLen);
+  if (words.length === 0 || !pos) return null;
 
-  const pos = posIndex.get(length);
-  if (!pos) return [];
-
-  const constraints = [];
-  for (let i = 0; i < length; i++) {
+  let bits = null;
+  for (let i = 0; i < wordLen; i++) {
     const ch = pattern[i];
-    if (ch !== RULES.unknownChar && ch !== "?") {
-      // Allow both '_' and '?' as wildcards
-      if (!RULES.tokenRegex.test(ch)) return [];
-      constraints.push([i, ch]);
-    }
-  }
-
-  if (constraints.length === 0) {
-    const out = order === "alpha" ? [...words] : words.slice();
-    return out.slice(0, limit);
-  }
-
-  constraints.sort((a, b) => {
-    const sizeA = pos[a[0]].get(a[1])?.size ?? 0;
-    const sizeB = pos[b[0]].get(b[1])?.size ?? 0;
-    return sizeA - sizeB;
-  });
-
-  let current = null;
-  for (const [i, ch] of constraints) {
+    // Allow both '_' and '?' as wildcards
+    if (ch === RULES.unknownChar || ch === "?") continue;
+    if (!RULES.tokenRegex.test(ch)) return null;
     const bucket = pos[i].get(ch);
-    if (!bucket || bucket.size === 0) return [];
+    if (!bucket) return null;
 
-    if (current === null) {
-      current = new Set(bucket);
+    if (bits === null) {
+      bits = bucket.slice();
     } else {
-      for (const w of current) {
-        if (!bucket.has(w)) current.delete(w);
-      }
-      if (current.size === 0) return [];
+      let any = 0;
+      for (let b = 0; b < bits.length; b++) any |= bits[b] &= bucket[b];
+      if (any === 0) return null;
     }
   }
+  return { words, bits };
+}
+
+/**
+ * Return candidates matching a pattern, in byLen order (plain code-unit
+ * sort: digits, then letters, then "_"), whether or not any cell is fixed.
+ * `length` counts cells; a braced rebus cell ("D_{CT}_R") matches its whole
+ * token, so candidates may be longer than `length` letters.
+ */
+export function candidatesForPattern(indexes, length, cellPattern, opts = {}) {
+  const { limit = Infinity } = opts;
+  const match = matchPattern(indexes, length, cellPattern);
+  if (!match) return [];
+  const { words, bits } = match;
 
-  let out = [...current];
-  if (order === "alpha") out.sort((a, b) => a.localeCompare(b));
-  if (Number.isFinite(limit)) out = out.slice(0, limit);
+  // Words are stored sorted, so bit order is already byLen order.
+  if (bits === null) return words.slice(0, limit);
+  const out = [];
+  for (let b = 0; b < bits.length && out.length < limit; b++) {
+    let block = bits[b];
+    while (block !== 0 && out.length < limit) {
+      const low = block & -block;
+      out.push(words[(b << 5) + 31 - Math.clz32(low)]);
+      block ^= low;
+    }
+  }
   return out;
 }
+
+/**
+ * Count the words matching a pattern without listing them (popcount over
+ * the match bitset). Counting stops once it reaches `limit`.
+ */
+export function countForPattern(indexes, length, cellPattern, opts = {}) {
+  const { limit = Infinity } = opts;
+  const match = matchPattern(indexes, length, cellPattern);
+  if (!match) return 0;
+  const { words, bits } = match;
+  if (bits === null) return Math.min(words.length, limit);
+  let count = 0;
+  for (let b = 0; b < bits.length && count < limit; b++) {
+    count += popcount(bits[b]);
+  }
+  return Math.min(count, limit);
+}
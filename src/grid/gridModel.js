@@ -1,5 +1,13 @@
 // src/grid/gridModel.js
-import { RULES, assertGridSize, isValidToken } from "../config/rules.js";
+import {
+  RULES,
+  assertGridSize,
+  assertSymmetry,
+  assertStyle,
+  isValidToken,
+  patternFromCells,
+  patternToCells,
+} from "../config/rules.js";
 
 /** Create an N×N grid filled with unknown cells (white). */
 export function makeEmptyGrid(n) {
@@ -15,14 +23,20 @@ export function cloneGrid(grid) {
   return grid.map((row) => row.slice());
 }
 
-/** Convert grid -> array<string> (for saving), and back. */
+/** Convert grid -> array<string> (for saving), and back. Rebus cells are braced. */
 export function toStrings(grid) {
-  return grid.map((row) => row.join(""));
+  return grid.map((row) => patternFromCells(row));
 }
 export function fromStrings(lines) {
   const n = lines.length;
   assertGridSize(n);
-  return lines.map((s) => s.split(""));
+  return lines.map((s) => {
+    const row = patternToCells(s);
+    if (!row || row.length !== n) {
+      throw new Error(`Grid row "${s}" does not have ${n} cells.`);
+    }
+    return row;
+  });
 }
 
 /** Mirror coordinate for 180° rotational symmetry. */
@@ -31,6 +45,51 @@ export function mirrorOf(grid, r, c) {
   return [n - 1 - r, n - 1 - c];
 }
 
+/**
+ * All cells tied to (r,c) under a symmetry mode, including (r,c) itself.
+ * - rotational-180: (r,c) and its 180° mirror
+ * - mirror:         left-right reflection
+ * - diagonal:       reflection across the main diagonal
+ * - four-way:       left-right + top-bottom reflections
+ * - none:           just (r,c)
+ */
+export function symmetryOrbit(grid, r, c, symmetry = RULES.symmetry) {
+  return dedupeCells(symmetryMaps(grid.length, symmetry).map((f) => f(r, c)));
+}
+
+/** The coordinate maps of a symmetry mode, identity first. */
+function symmetryMaps(n, symmetry) {
+  assertSymmetry(symmetry);
+  const id = (r, c) => [r, c];
+  switch (symmetry) {
+    case "rotational-180":
+      return [id, (r, c) => [n - 1 - r, n - 1 - c]];
+    case "mirror":
+      return [id, (r, c) => [r, n - 1 - c]];
+    case "diagonal":
+      return [id, (r, c) => [c, r]];
+    case "four-way":
+      return [
+        id,
+        (r, c) => [r, n - 1 - c],
+        (r, c) => [n - 1 - r, c],
+        (r, c) => [n - 1 - r, n - 1 - c],
+      ];
+    default:
+      return [id];
+  }
+}
+
+function dedupeCells(cells) {
+  const seen = new Set();
+  return cells.filter(([rr, cc]) => {
+    const k = `${rr},${cc}`;
+    if (seen.has(k)) return false;
+    seen.add(k);
+    return true;
+  });
+}
+
 /** In-bounds helper. */
 function inBounds(grid, r, c) {
   const n = grid.length;
@@ -47,54 +106,96 @@ export function isWhite(grid, r, c) {
   return !isBlock(grid, r, c);
 }
 
+/**
+ * Does an entry stop at this side of (r,c)? True at the grid edge, next to a
+ * block, or across a bar (see makeBars). `bars` may be omitted for block grids.
+ */
+export function wallLeft(grid, r, c, bars) {
+  return c === 0 || isBlock(grid, r, c - 1) || hasBar(bars, "right", r, c - 1);
+}
+export function wallRight(grid, r, c, bars) {
+  return (
+    c + 1 >= grid.length ||
+    isBlock(grid, r, c + 1) ||
+    hasBar(bars, "right", r, c)
+  );
+}
+export function wallAbove(grid, r, c, bars) {
+  return r === 0 || isBlock(grid, r - 1, c) || hasBar(bars, "bottom", r - 1, c);
+}
+export function wallBelow(grid, r, c, bars) {
+  return (
+    r + 1 >= grid.length ||
+    isBlock(grid, r + 1, c) ||
+    hasBar(bars, "bottom", r, c)
+  );
+}
+
 function isFixedLetterCell(grid, r, c) {
   const ch = grid[r][c];
   // treat '_' as unknown (not a fixed letter)
   return ch !== RULES.blockChar && ch !== RULES.unknownChar;
 }
 
-/** Place a symmetric block at (r,c) and its 180° mirror. Returns false if illegal. */
-export function placeBlockSym(grid, r, c, { overwrite = false } = {}) {
+/**
+ * Place a block at (r,c) plus every cell its symmetry mode ties to it
+ * (default RULES.symmetry). Returns false if illegal.
+ */
+export function placeBlockSym(
+  grid,
+  r,
+  c,
+  { overwrite = false, symmetry = RULES.symmetry, style = RULES.style } = {}
+) {
   if (!inBounds(grid, r, c)) return false;
-  const [mr, mc] = mirrorOf(grid, r, c);
+  const orbit = symmetryOrbit(grid, r, c, symmetry);
 
   // Don’t overwrite fixed letters unless explicitly allowed
-  if (
-    !overwrite &&
-    (isFixedLetterCell(grid, r, c) || isFixedLetterCell(grid, mr, mc))
-  ) {
+  if (!overwrite && orbit.some(([rr, cc]) => isFixedLetterCell(grid, rr, cc))) {
     return false;
   }
-  const prevA = grid[r][c];
-  const prevB = grid[mr][mc];
+  const prev = orbit.map(([rr, cc]) => grid[rr][cc]);
+  const restore = () =>
+    orbit.forEach(([rr, cc], i) => {
+      grid[rr][cc] = prev[i];
+    });
 
-  grid[r][c] = RULES.blockChar;
-  grid[mr][mc] = RULES.blockChar;
+  for (const [rr, cc] of orbit) grid[rr][cc] = RULES.blockChar;
 
   // Validate core constraints immediately
-  if (!validateNoTwoLetterSlots(grid)) {
-    grid[r][c] = prevA;
-    grid[mr][mc] = prevB;
+  if (!validateNoTwoLetterSlots(grid, { style })) {
+    restore();
+    return false;
+  }
+  // (American checking already follows from the run-length rule above.)
+  if (
+    style !== "american" &&
+    RULES.enforceCheckedLetters &&
+    !validateCheckedLetters(grid, { style })
+  ) {
+    restore();
     return false;
   }
   if (RULES.requireConnectivity && !validateConnectivity(grid)) {
-    grid[r][c] = prevA;
-    grid[mr][mc] = prevB;
+    restore();
     return false;
   }
   return true;
 }
 
-/** Remove a symmetric block pair at (r,c) and its mirror -> set to unknownChar. */
-export function removeBlockSym(grid, r, c) {
+/** Remove a symmetric block group at (r,c) -> set every cell to unknownChar. */
+export function removeBlockSym(grid, r, c, { symmetry = RULES.symmetry } = {}) {
   if (!inBounds(grid, r, c)) return false;
-  const [mr, mc] = mirrorOf(grid, r, c);
-  grid[r][c] = RULES.unknownChar;
-  grid[mr][mc] = RULES.unknownChar;
+  for (const [rr, cc] of symmetryOrbit(grid, r, c, symmetry)) {
+    grid[rr][cc] = RULES.unknownChar;
+  }
   return true;
 }
 
-/** Place a letter/digit/_ at (r,c). Returns false if invalid. */
+/**
+ * Place a letter/digit/_ at (r,c), or a multi-letter rebus token of up to
+ * RULES.maxRebusLen characters. Returns false if invalid.
+ */
 export function placeLetter(grid, r, c, ch) {
   if (!inBounds(grid, r, c)) return false;
   if (isBlock(grid, r, c)) return false;
@@ -102,16 +203,10 @@ export function placeLetter(grid, r, c, ch) {
   const up = String(ch || "").toUpperCase();
   // allow underscore as unknown; otherwise must be a valid token char
   const ok = up === RULES.unknownChar || isValidToken(up);
-  if (!ok || up.length !== 1) return false;
+  if (!ok || up.length > RULES.maxRebusLen) return false;
 
-  const prev = grid[r][c];
+  // Letters never change the block structure, so no slot re-validation here.
   grid[r][c] = up;
-
-  // Optional: live “no 2-letter” guard when letters split slots unexpectedly
-  if (!validateNoTwoLetterSlots(grid)) {
-    grid[r][c] = prev;
-    return false;
-  }
   return true;
 }
 
@@ -123,57 +218,264 @@ export function clearCell(grid, r, c) {
   return true;
 }
 
+/** Does this cell hold a multi-letter rebus token? */
+export function isRebusCell(grid, r, c) {
+  return isWhite(grid, r, c) && grid[r][c].length > 1;
+}
+
+/* ---------------------------------------------
+ * Cell annotations (circled / shaded)
+ * Kept beside the char grid as { [kind]: Set<"r,c"> } so every grid helper
+ * stays unaware of them. Kinds come from RULES.annotationKinds.
+ * --------------------------------------------- */
+export function makeAnnotations() {
+  return Object.fromEntries(RULES.annotationKinds.map((k) => [k, new Set()]));
+}
+
+/** Mark a white cell with an annotation kind. Returns false if invalid. */
+export function annotateCell(grid, annotations, kind, r, c) {
+  if (!annotations?.[kind]) return false;
+  if (!inBounds(grid, r, c) || isBlock(grid, r, c)) return false;
+  annotations[kind].add(`${r},${c}`);
+  return true;
+}
+
+export function isAnnotated(annotations, kind, r, c) {
+  return !!annotations?.[kind]?.has(`${r},${c}`);
+}
+
+/** Annotated cells of one kind, in reading order (row-major). */
+export function annotatedCells(annotations, kind) {
+  return [...(annotations?.[kind] || [])]
+    .map((k) => k.split(",").map(Number))
+    .sort((a, b) => a[0] - b[0] || a[1] - b[1])
+    .map(([r, c]) => ({ r, c }));
+}
+
+/** Serialize for artifacts: { circled: [[r,c],...], shaded: [...] }. */
+export function annotationsToJSON(annotations) {
+  const out = {};
+  for (const kind of RULES.annotationKinds) {
+    out[kind] = annotatedCells(annotations, kind).map(({ r, c }) => [r, c]);
+  }
+  return out;
+}
+export function annotationsFromJSON(obj = {}) {
+  const annotations = makeAnnotations();
+  for (const kind of RULES.annotationKinds) {
+    for (const [r, c] of obj?.[kind] || []) annotations[kind].add(`${r},${c}`);
+  }
+  return annotations;
+}
+
+/* ---------------------------------------------
+ * Bars (barred grids)
+ * Walls between cells, kept beside the char grid like annotations:
+ * { right: Set<"r,c">, bottom: Set<"r,c"> } where "right" is the wall between
+ * (r,c) and (r,c+1) and "bottom" the wall between (r,c) and (r+1,c).
+ * --------------------------------------------- */
+export const BAR_SIDES = ["right", "bottom"];
+
+export function makeBars() {
+  return { right: new Set(), bottom: new Set() };
+}
+
+export function hasBar(bars, side, r, c) {
+  return !!bars?.[side]?.has(`${r},${c}`);
+}
+
+export function countBars(bars) {
+  return BAR_SIDES.reduce((sum, side) => sum + (bars?.[side]?.size || 0), 0);
+}
+
+/** Every bar tied to the `side` bar at (r,c) under a symmetry mode, as [side, r, c]. */
+export function barOrbit(grid, side, r, c, symmetry = RULES.symmetry) {
+  const [r2, c2] = side === "right" ? [r, c + 1] : [r + 1, c];
+  const seen = new Set();
+  const out = [];
+  for (const f of symmetryMaps(grid.length, symmetry)) {
+    const [ar, ac] = f(r, c);
+    const [br, bc] = f(r2, c2);
+    const bar =
+      ar === br
+        ? ["right", ar, Math.min(ac, bc)]
+        : ["bottom", Math.min(ar, br), ac];
+    const k = bar.join(",");
+    if (seen.has(k)) continue;
+    seen.add(k);
+    out.push(bar);
+  }
+  return out;
+}
+
+/**
+ * Place the `side` bar at (r,c) plus its symmetric partners. Rolls back and
+ * returns false if the result breaks the barred-grid rules.
+ */
+export function placeBarSym(
+  grid,
+  bars,
+  r,
+  c,
+  side,
+  { symmetry = RULES.symmetry, style = "barred" } = {}
+) {
+  if (!BAR_SIDES.includes(side) || !inBounds(grid, r, c)) return false;
+  if (side === "right" ? c + 1 >= grid.length : r + 1 >= grid.length) {
+    return false;
+  }
+  const added = barOrbit(grid, side, r, c, symmetry).filter(
+    ([s, rr, cc]) => !hasBar(bars, s, rr, cc)
+  );
+  if (added.length === 0) return false;
+  for (const [s, rr, cc] of added) bars[s].add(`${rr},${cc}`);
+
+  if (
+    !validateNoTwoLetterSlots(grid, { style, bars }) ||
+    (RULES.enforceCheckedLetters &&
+      !validateCheckedLetters(grid, { style, bars }))
+  ) {
+    for (const [s, rr, cc] of added) bars[s].delete(`${rr},${cc}`);
+    return false;
+  }
+  return true;
+}
+
+/** Remove the `side` bar at (r,c) and its symmetric partners. */
+export function removeBarSym(
+  grid,
+  bars,
+  r,
+  c,
+  side,
+  { symmetry = RULES.symmetry } = {}
+) {
+  for (const [s, rr, cc] of barOrbit(grid, side, r, c, symmetry)) {
+    bars[s].delete(`${rr},${cc}`);
+  }
+  return true;
+}
+
+/** Are the bars symmetric under a mode? */
+export function barsSymmetric(grid, bars, symmetry = RULES.symmetry) {
+  for (const side of BAR_SIDES) {
+    for (const k of bars?.[side] || []) {
+      const [r, c] = k.split(",").map(Number);
+      const orbit = barOrbit(grid, side, r, c, symmetry);
+      if (!orbit.every(([s, rr, cc]) => hasBar(bars, s, rr, cc))) return false;
+    }
+  }
+  return true;
+}
+
+/** Serialize for artifacts: { right: [[r,c],...], bottom: [...] }. */
+export function barsToJSON(bars) {
+  const out = {};
+  for (const side of BAR_SIDES) {
+    out[side] = [...(bars?.[side] || [])]
+      .map((k) => k.split(",").map(Number))
+      .sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+  }
+  return out;
+}
+export function barsFromJSON(obj = {}) {
+  const bars = makeBars();
+  for (const side of BAR_SIDES) {
+    for (const [r, c] of obj?.[side] || []) bars[side].add(`${r},${c}`);
+  }
+  return bars;
+}
+
 /** Is cell a placed letter/digit/_ (i.e., non-block)? */
 function isLetterCell(grid, r, c) {
   const ch = grid[r][c];
   return ch !== RULES.blockChar;
 }
 
-/** Validate 180° rotational symmetry of blocks. */
-export function isSymmetric(grid) {
+/** Validate block symmetry under a mode (default RULES.symmetry). */
+export function isSymmetric(grid, symmetry = RULES.symmetry) {
   const n = grid.length;
   for (let r = 0; r < n; r++) {
     for (let c = 0; c < n; c++) {
-      const [mr, mc] = mirrorOf(grid, r, c);
-      if (isBlock(grid, r, c) !== isBlock(grid, mr, mc)) return false;
+      const block = isBlock(grid, r, c);
+      for (const [mr, mc] of symmetryOrbit(grid, r, c, symmetry)) {
+        if (isBlock(grid, mr, mc) !== block) return false;
+      }
     }
   }
   return true;
 }
 
-/** Ensure there are no 1- or 2-letter runs between blocks (across & down). */
-export function validateNoTwoLetterSlots(grid) {
+/**
+ * Ensure there are no too-short runs between blocks or bars (across & down).
+ * American grids reject every run under RULES.minEntryLen; British and barred
+ * grids allow single cells (the unchecked direction of a letter) but not
+ * 2-letter runs.
+ */
+export function validateNoTwoLetterSlots(
+  grid,
+  { style = RULES.style, bars } = {}
+) {
   if (!RULES.enforceNoTwoLetter) return true;
+  const tooShort = ({ length }) =>
+    length < RULES.minEntryLen && !(style !== "american" && length === 1);
+  return !(
+    getAcrossRuns(grid, bars).some(tooShort) ||
+    getDownRuns(grid, bars).some(tooShort)
+  );
+}
+
+/**
+ * Checked-letter rules per style:
+ * - american: every white cell belongs to both an across and a down entry
+ * - british/barred: every white cell belongs to at least one entry, and no
+ *   entry has more than RULES.maxUncheckedRatio of its letters unchecked
+ */
+export function validateCheckedLetters(
+  grid,
+  { style = RULES.style, bars } = {}
+) {
+  assertStyle(style);
   const n = grid.length;
+  const inA = Array.from({ length: n }, () => Array(n).fill(false));
+  const inD = Array.from({ length: n }, () => Array(n).fill(false));
+  const across = getAcrossRuns(grid, bars).filter(
+    (x) => x.length >= RULES.minEntryLen
+  );
+  const down = getDownRuns(grid, bars).filter(
+    (x) => x.length >= RULES.minEntryLen
+  );
+  for (const run of across) {
+    for (let i = 0; i < run.length; i++) inA[run.row][run.colStart + i] = true;
+  }
+  for (const run of down) {
+    for (let i = 0; i < run.length; i++) inD[run.rowStart + i][run.col] = true;
+  }
 
-  // Across
   for (let r = 0; r < n; r++) {
-    let run = 0;
     for (let c = 0; c < n; c++) {
-      if (isBlock(grid, r, c)) {
-        if (run > 0 && run < RULES.minEntryLen) return false;
-        run = 0;
-      } else {
-        run++;
-      }
+      if (!isWhite(grid, r, c)) continue;
+      if (style === "american" && !(inA[r][c] && inD[r][c])) return false;
+      if (!inA[r][c] && !inD[r][c]) return false;
     }
-    if (run > 0 && run < RULES.minEntryLen) return false;
   }
+  if (style === "american") return true;
 
-  // Down
-  for (let c = 0; c < n; c++) {
-    let run = 0;
-    for (let r = 0; r < n; r++) {
-      if (isBlock(grid, r, c)) {
-        if (run > 0 && run < RULES.minEntryLen) return false;
-        run = 0;
-      } else {
-        run++;
-      }
+  const maxUnchecked = (len) => Math.floor(len * RULES.maxUncheckedRatio);
+  for (const run of across) {
+    let unchecked = 0;
+    for (let i = 0; i < run.length; i++) {
+      if (!inD[run.row][run.colStart + i]) unchecked++;
     }
-    if (run > 0 && run < RULES.minEntryLen) return false;
+    if (unchecked > maxUnchecked(run.length)) return false;
+  }
+  for (const run of down) {
+    let unchecked = 0;
+    for (let i = 0; i < run.length; i++) {
+      if (!inA[run.rowStart + i][run.col]) unchecked++;
+    }
+    if (unchecked > maxUnchecked(run.length)) return false;
   }
-
   return true;
 }
 
@@ -225,29 +527,42 @@ export function validateConnectivity(grid) {
   return vis === whiteCount;
 }
 
-/** Basic final checks: symmetry, connectivity, no 2-letter slots. */
-export function validateGridBasic(grid) {
-  if (RULES.symmetry === "rotational-180" && !isSymmetric(grid)) return false;
-  if (!validateNoTwoLetterSlots(grid)) return false;
+/**
+ * Basic final checks: symmetry, connectivity, no 2-letter slots, checked
+ * letters. Pass `bars` for barred grids; they must share the symmetry too.
+ */
+export function validateGridBasic(
+  grid,
+  { symmetry = RULES.symmetry, style = RULES.style, bars } = {}
+) {
+  if (symmetry !== "none" && !isSymmetric(grid, symmetry)) return false;
+  if (bars && symmetry !== "none" && !barsSymmetric(grid, bars, symmetry))
+    return false;
+  if (!validateNoTwoLetterSlots(grid, { style, bars })) return false;
+  if (
+    RULES.enforceCheckedLetters &&
+    !validateCheckedLetters(grid, { style, bars })
+  )
+    return false;
   if (RULES.requireConnectivity && !validateConnectivity(grid)) return false;
   return true;
 }
 
-/** Extract across runs: contiguous white cells between blocks (returns positions & strings). */
-export function getAcrossRuns(grid) {
+/** Extract across runs: contiguous white cells between blocks/bars (returns positions & strings). */
+export function getAcrossRuns(grid, bars) {
   const n = grid.length;
   const runs = [];
   for (let r = 0; r < n; r++) {
     let c = 0;
     while (c < n) {
-      // start of a run if cell is white and left is block/out-of-bounds
-      if (isWhite(grid, r, c) && (c === 0 || isBlock(grid, r, c - 1))) {
+      // start of a run if cell is white and left is block/bar/out-of-bounds
+      if (isWhite(grid, r, c) && wallLeft(grid, r, c, bars)) {
         let start = c;
         let s = "";
-        while (c < n && isWhite(grid, r, c)) {
+        do {
           s += grid[r][c];
           c++;
-        }
+        } while (!wallRight(grid, r, c - 1, bars));
         const len = c - start;
         runs.push({ row: r, colStart: start, length: len, string: s });
       } else {
@@ -258,20 +573,20 @@ export function getAcrossRuns(grid) {
   return runs;
 }
 
-/** Extract down runs: contiguous white cells between blocks (returns positions & strings). */
-export function getDownRuns(grid) {
+/** Extract down runs: contiguous white cells between blocks/bars (returns positions & strings). */
+export function getDownRuns(grid, bars) {
   const n = grid.length;
   const runs = [];
   for (let c = 0; c < n; c++) {
     let r = 0;
     while (r < n) {
-      if (isWhite(grid, r, c) && (r === 0 || isBlock(grid, r - 1, c))) {
+      if (isWhite(grid, r, c) && wallAbove(grid, r, c, bars)) {
         let start = r;
         let s = "";
-        while (r < n && isWhite(grid, r, c)) {
+        do {
           s += grid[r][c];
           r++;
-        }
+        } while (!wallBelow(grid, r - 1, c, bars));
         const len = r - start;
         runs.push({ col: c, rowStart: start, length: len, string: s });
       } else {
@@ -283,16 +598,16 @@ export function getDownRuns(grid) {
 }
 
 /* ---------------------------------------------
- * NEW: computeSlots(grid)
+ * NEW: computeSlots(grid, bars)
  * For planner/debugging: convert runs into slot objects with cell coords.
  * This does NOT need to match the solver’s internal IDs; it’s used for logs.
  * --------------------------------------------- */
-export function computeSlots(grid) {
+export function computeSlots(grid, bars) {
   const slots = [];
   const minLen = Math.max(2, RULES.minEntryLen);
 
   // Across -> id: A_r_c
-  for (const run of getAcrossRuns(grid)) {
+  for (const run of getAcrossRuns(grid, bars)) {
     if (run.length >= minLen) {
       const cells = [];
       for (let i = 0; i < run.length; i++) {
@@ -308,7 +623,7 @@ export function computeSlots(grid) {
   }
 
   // Down -> id: D_r_c  (r is rowStart)
-  for (const run of getDownRuns(grid)) {
+  for (const run of getDownRuns(grid, bars)) {
     if (run.length >= minLen) {
       const cells = [];
       for (let i = 0; i < run.length; i++) {
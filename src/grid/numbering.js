@@ -1,21 +1,37 @@
 // src/grid/numbering.js
-import { RULES } from "../config/rules.js";
-import { isBlock, isWhite } from "./gridModel.js";
+import { RULES, patternFromCells } from "../config/rules.js";
+import {
+  isWhite,
+  wallLeft,
+  wallRight,
+  wallAbove,
+  wallBelow,
+  isAnnotated,
+} from "./gridModel.js";
 
 /**
  * Build Across/Down numbering for the current grid.
  * - Numbers start at 1, scan row-major.
- * - A start cell is white AND (left is block/OOB for Across) or (above is block/OOB for Down).
+ * - A start cell is white AND (left is block/bar/OOB for Across) or (above is block/bar/OOB for Down).
  *
  * @param {string[][]} grid                 // N x N char grid
  * @param {Map<string,string>} assignments  // optional: slotId -> answer (from solver)
+ * @param {object} [annotations]            // optional: layer from makeAnnotations()
+ * @param {object} [bars]                   // optional: layer from makeBars() (barred grids)
  * @returns {{
- *  across: Array<{ num:number, row:number, col:number, length:number, slotId:string, pattern:string, answer?:string }>,
- *  down:   Array<{ num:number, row:number, col:number, length:number, slotId:string, pattern:string, answer?:string }>,
+ *  across: Array<{ num:number, row:number, col:number, length:number, slotId:string, pattern:string, answer?:string, circled?:number[], shaded?:number[] }>,
+ *  down:   Array<{ num:number, row:number, col:number, length:number, slotId:string, pattern:string, answer?:string, circled?:number[], shaded?:number[] }>,
  *  slotNum: Map<string, number>            // slotId -> clue number
  * }}
+ * Annotation fields list the 0-based positions within the entry and are
+ * present only when the entry has such cells.
  */
-export function buildNumbering(grid, assignments = new Map()) {
+export function buildNumbering(
+  grid,
+  assignments = new Map(),
+  annotations,
+  bars
+) {
   const n = grid.length;
   let num = 0;
 
@@ -29,10 +45,10 @@ export function buildNumbering(grid, assignments = new Map()) {
   // Across first (row-major)
   for (let r = 0; r < n; r++) {
     for (let c = 0; c < n; c++) {
-      if (!isStartAcross(grid, r, c)) continue;
+      if (!isStartAcross(grid, r, c, bars)) continue;
 
       num += 1;
-      const { length, pattern } = walkAcross(grid, r, c);
+      const { length, pattern } = walkAcross(grid, r, c, bars);
       const slotId = `A_${r}_${c}`;
       slotNum.set(slotId, num);
 
@@ -46,6 +62,7 @@ export function buildNumbering(grid, assignments = new Map()) {
       };
       const ans = assignments.get(slotId);
       if (ans) entry.answer = ans;
+      addAnnotations(entry, annotations, (i) => [r, c + i]);
 
       across.push(entry);
     }
@@ -53,7 +70,7 @@ export function buildNumbering(grid, assignments = new Map()) {
     // mark visitedDown row-wise (so we don't double count in Down pass)
     for (let c = 0; c < n; c++) {
       if (!isWhite(grid, r, c)) continue;
-      if (r > 0 && isWhite(grid, r - 1, c)) {
+      if (!wallAbove(grid, r, c, bars)) {
         visitedDown[r][c] = true; // inside a down run; not a start
       }
     }
@@ -62,11 +79,11 @@ export function buildNumbering(grid, assignments = new Map()) {
   // Down pass (row-major)
   for (let r = 0; r < n; r++) {
     for (let c = 0; c < n; c++) {
-      if (!isStartDown(grid, r, c)) continue;
+      if (!isStartDown(grid, r, c, bars)) continue;
       if (visitedDown[r][c]) continue; // not a start
 
       num += 1;
-      const { length, pattern } = walkDown(grid, r, c);
+      const { length, pattern } = walkDown(grid, r, c, bars);
       const slotId = `D_${r}_${c}`;
       slotNum.set(slotId, num);
 
@@ -80,6 +97,7 @@ export function buildNumbering(grid, assignments = new Map()) {
       };
       const ans = assignments.get(slotId);
       if (ans) entry.answer = ans;
+      addAnnotations(entry, annotations, (i) => [r + i, c]);
 
       down.push(entry);
     }
@@ -90,71 +108,44 @@ export function buildNumbering(grid, assignments = new Map()) {
 
 // ---------- helpers ----------
 
-function isStartAcross(grid, r, c) {
-  const n = grid.length;
+function addAnnotations(entry, annotations, cellAt) {
+  if (!annotations) return;
+  for (const kind of RULES.annotationKinds) {
+    const hits = [];
+    for (let i = 0; i < entry.length; i++) {
+      if (isAnnotated(annotations, kind, ...cellAt(i))) hits.push(i);
+    }
+    if (hits.length > 0) entry[kind] = hits;
+  }
+}
+
+function isStartAcross(grid, r, c, bars) {
   if (!isWhite(grid, r, c)) return false;
-  const leftBlocked = c === 0 || isBlock(grid, r, c - 1);
-  const rightWhite = c + 1 < n && isWhite(grid, r, c + 1);
   // must begin a run that has at least minEntryLen letters
   return (
-    leftBlocked && rightWhite && runLenAcross(grid, r, c) >= RULES.minEntryLen
+    wallLeft(grid, r, c, bars) &&
+    walkAcross(grid, r, c, bars).length >= RULES.minEntryLen
   );
 }
 
-function isStartDown(grid, r, c) {
-  const n = grid.length;
+function isStartDown(grid, r, c, bars) {
   if (!isWhite(grid, r, c)) return false;
-  const aboveBlocked = r === 0 || isBlock(grid, r - 1, c);
-  const belowWhite = r + 1 < n && isWhite(grid, r + 1, c);
   return (
-    aboveBlocked && belowWhite && runLenDown(grid, r, c) >= RULES.minEntryLen
+    wallAbove(grid, r, c, bars) &&
+    walkDown(grid, r, c, bars).length >= RULES.minEntryLen
   );
 }
 
-function runLenAcross(grid, r, c) {
-  const n = grid.length;
-  let len = 0;
-  let cc = c;
-  while (cc < n && isWhite(grid, r, cc)) {
-    len++;
-    cc++;
-  }
-  return len;
-}
-
-function runLenDown(grid, r, c) {
-  const n = grid.length;
-  let len = 0;
-  let rr = r;
-  while (rr < n && isWhite(grid, rr, c)) {
-    len++;
-    rr++;
-  }
-  return len;
-}
-
-function walkAcross(grid, r, c) {
-  const n = grid.length;
-  const chars = [];
-  let len = 0;
+function walkAcross(grid, r, c, bars) {
+  const chars = [grid[r][c]];
   let cc = c;
-  while (cc < n && isWhite(grid, r, cc)) {
-    chars.push(grid[r][cc]);
-    len++;
-    cc++;
-  }
-  return { length: len, pattern: chars.join("") };
+  while (!wallRight(grid, r, cc, bars)) chars.push(grid[r][++cc]);
+  return { length: chars.length, pattern: patternFromCells(chars) };
 }
 
-function walkDown(grid, r, c) {
-  const n = grid.length;
-  const chars = [];
-  let len = 0;
+function walkDown(grid, r, c, bars) {
+  const chars = [grid[r][c]];
   let rr = r;
-  while (rr < n && isWhite(grid, rr, c)) {
-    chars.push(grid[rr][c]);
-    len++;
-    rr++;
-  }
-  return { length: len, pattern: chars.join("") };
+  while (!wallBelow(grid, rr, c, bars)) chars.push(grid[++rr][c]);
+  return { length: chars.length, pattern: patternFromCells(chars) };
 }
@@ -1,6 +1,14 @@
 // src/grid/slots.js
-import { RULES, isValidToken } from "../config/rules.js";
-import { isBlock, isWhite, placeLetter, clearCell } from "./gridModel.js";
+import { RULES, isValidToken, patternFromCells } from "../config/rules.js";
+import {
+  isWhite,
+  wallLeft,
+  wallRight,
+  wallAbove,
+  wallBelow,
+  placeLetter,
+  clearCell,
+} from "./gridModel.js";
 
 /**
  * Slot shape:
@@ -15,10 +23,13 @@ import { isBlock, isWhite, placeLetter, clearCell } from "./gridModel.js";
  * }
  */
 
-/** Build all slots (Across + Down) and compute crossings. */
-export function buildSlots(grid) {
-  const across = extractAcrossSlots(grid);
-  const down = extractDownSlots(grid);
+/**
+ * Build all slots (Across + Down) and compute crossings.
+ * Pass `bars` (from makeBars) for barred grids; entries then also stop at bars.
+ */
+export function buildSlots(grid, { bars } = {}) {
+  const across = extractAcrossSlots(grid, bars);
+  const down = extractDownSlots(grid, bars);
 
   // occupancy maps for crossing detection
   const occA = new Map(); // key "r,c" -> { id, idx }
@@ -58,14 +69,13 @@ export function buildSlots(grid) {
 }
 
 /** Extract Across slots (length >= RULES.minEntryLen). */
-export function extractAcrossSlots(grid) {
+export function extractAcrossSlots(grid, bars) {
   const n = grid.length;
   const out = [];
   for (let r = 0; r < n; r++) {
     let c = 0;
     while (c < n) {
-      const startOK =
-        isWhite(grid, r, c) && (c === 0 || isBlock(grid, r, c - 1));
+      const startOK = isWhite(grid, r, c) && wallLeft(grid, r, c, bars);
       if (!startOK) {
         c++;
         continue;
@@ -73,10 +83,10 @@ export function extractAcrossSlots(grid) {
       // walk to end of run
       const cells = [];
       let cc = c;
-      while (cc < n && isWhite(grid, r, cc)) {
+      do {
         cells.push({ r, c: cc });
         cc++;
-      }
+      } while (!wallRight(grid, r, cc - 1, bars));
       const len = cells.length;
       if (len >= RULES.minEntryLen) {
         out.push({
@@ -89,21 +99,20 @@ export function extractAcrossSlots(grid) {
           crosses: [],
         });
       }
-      c = cc + 1; // skip the block we stopped at
+      c = cc; // next cell is a block (skipped above) or starts after a bar
     }
   }
   return out;
 }
 
 /** Extract Down slots (length >= RULES.minEntryLen). */
-export function extractDownSlots(grid) {
+export function extractDownSlots(grid, bars) {
   const n = grid.length;
   const out = [];
   for (let c = 0; c < n; c++) {
     let r = 0;
     while (r < n) {
-      const startOK =
-        isWhite(grid, r, c) && (r === 0 || isBlock(grid, r - 1, c));
+      const startOK = isWhite(grid, r, c) && wallAbove(grid, r, c, bars);
       if (!startOK) {
         r++;
         continue;
@@ -111,10 +120,10 @@ export function extractDownSlots(grid) {
       // walk to end of run
       const cells = [];
       let rr = r;
-      while (rr < n && isWhite(grid, rr, c)) {
+      do {
         cells.push({ r: rr, c });
         rr++;
-      }
+      } while (!wallBelow(grid, rr - 1, c, bars));
       const len = cells.length;
       if (len >= RULES.minEntryLen) {
         out.push({
@@ -127,16 +136,33 @@ export function extractDownSlots(grid) {
           crosses: [],
         });
       }
-      r = rr + 1; // skip the block we stopped at
+      r = rr; // next cell is a block (skipped above) or starts after a bar
     }
   }
   return out;
 }
 
-/** Build the current pattern string for a slot (letters + unknownChar). */
+/** Build the current pattern string for a slot (letters + unknownChar, rebus braced). */
 export function getSlotPattern(grid, slot) {
   const chars = slot.cells.map(({ r, c }) => grid[r][c]);
-  return chars.join("");
+  return patternFromCells(chars);
+}
+
+/**
+ * Split a word into one token per slot cell. Rebus cells take as many letters
+ * as the token they hold; every other cell takes one. Returns null if the
+ * word's length doesn't line up with the slot.
+ */
+export function splitWordForSlot(grid, slot, word) {
+  const parts = [];
+  let i = 0;
+  for (const { r, c } of slot.cells) {
+    const width = grid[r][c].length;
+    if (i + width > word.length) return null;
+    parts.push(word.slice(i, i + width));
+    i += width;
+  }
+  return i === word.length ? parts : null;
 }
 
 /**
@@ -145,13 +171,14 @@ export function getSlotPattern(grid, slot) {
  */
 export function fitsWord(grid, slot, word) {
   const w = String(word || "").toUpperCase();
-  if (w.length !== slot.length) return false;
   if (!/^[A-Z0-9_]+$/.test(w)) return false;
+  const parts = splitWordForSlot(grid, slot, w);
+  if (!parts) return false;
 
   for (let i = 0; i < slot.length; i++) {
     const { r, c } = slot.cells[i];
     const ch = grid[r][c];
-    if (ch !== RULES.unknownChar && ch !== w[i]) return false;
+    if (ch !== RULES.unknownChar && ch !== parts[i]) return false;
   }
   return true;
 }
@@ -163,14 +190,15 @@ export function fitsWord(grid, slot, word) {
 export function placeWord(grid, slot, word) {
   const w = String(word || "").toUpperCase();
   if (!fitsWord(grid, slot, w)) return { ok: false, changes: [] };
+  const parts = splitWordForSlot(grid, slot, w);
 
   const changes = [];
   for (let i = 0; i < slot.length; i++) {
     const { r, c } = slot.cells[i];
     const prev = grid[r][c];
-    if (prev === w[i]) continue; // already set
+    if (prev === parts[i]) continue; // already set (incl. rebus cells)
     // placeLetter validates token char and global 2-letter constraints
-    const ok = placeLetter(grid, r, c, w[i]);
+    const ok = placeLetter(grid, r, c, parts[i]);
     if (!ok) {
       // rollback
       for (let j = changes.length - 1; j >= 0; j--) {
@@ -182,7 +210,7 @@ export function placeWord(grid, slot, word) {
       }
       return { ok: false, changes: [] };
     }
-    changes.push({ r, c, prev, now: w[i] });
+    changes.push({ r, c, prev, now: parts[i] });
   }
   return { ok: true, changes };
 }
@@ -3,7 +3,6 @@ import "dotenv/config";
 import fs from "fs/promises";
 import OpenAI from "openai";
 
-import { GRID_MAX_LETTERS } from "./utils/constants.js";
 import { puzzleConfig } from "./config/puzzleConfig.js";
 import { buildCandidatePools } from "./utils/dictionary.js";
 import {
@@ -40,14 +39,19 @@ async function callJSONApi(system, user) {
 }
 
 // Fetches a list of theme-related words from the AI using user guidance
-async function getThemeWords({ topic, positivePrompt, negativePrompt }) {
+async function getThemeWords({
+  topic,
+  positivePrompt,
+  negativePrompt,
+  maxLength,
+}) {
   const system = buildSystemPrompt();
   const user = buildThemeWordsPrompt({
     topic,
     positivePrompt,
     negativePrompt,
     wordCount: 30,
-    maxLength: GRID_MAX_LETTERS,
+    maxLength,
   });
   const json = await callJSONApi(system, user);
   return (json.themeWords || []).map((s) => String(s || "").toUpperCase());
@@ -64,8 +68,30 @@ async function main() {
     await fs.rm("src/data/clues.json", { force: true });
 
     // 1. Load configuration
-    const { topic, difficulty, positivePrompt, negativePrompt } = puzzleConfig;
-    console.log(`🔹 Topic: ${topic} | Difficulty: ${difficulty}`);
+    const {
+      topic,
+      difficulty,
+      size,
+      symmetry,
+      style,
+      patternTags,
+      rebus,
+      annotations,
+      template,
+      positivePrompt,
+      negativePrompt,
+      seed,
+      fills,
+      minDistinctEntries,
+      diagnose,
+      wordSources,
+      hydrationCache,
+      blocklist,
+      poolSources,
+    } = puzzleConfig;
+    console.log(
+      `🔹 Topic: ${topic} | Difficulty: ${difficulty} | Size: ${size}x${size}`
+    );
 
     // 2. AI Brainstorming
     console.log("🔹 Step 1: Brainstorming theme words with AI...");
@@ -73,6 +99,7 @@ async function main() {
       topic,
       positivePrompt,
       negativePrompt,
+      maxLength: size,
     });
     if (themeWords.length === 0) {
       throw new Error("AI failed to generate any theme words.");
@@ -86,7 +113,10 @@ async function main() {
     // 3. Add AI-generated words to the main word pool
     console.log("🔹 Step 2: Adding AI words to the dictionary...");
     const pools = await loadPoolsSafe();
-    const added = addWordsToPools(pools, themeWords);
+    const added = addWordsToPools(pools, themeWords, {
+      source: "ai",
+      tags: ["theme"],
+    });
     await savePoolsAtomic(pools);
     console.log(
       `   → Success: Added ${
@@ -97,10 +127,7 @@ async function main() {
     );
 
     // 4. Build and hydrate the general word pools
-    const allLengths = Array.from(
-      { length: GRID_MAX_LETTERS - 2 },
-      (_, i) => i + 3
-    );
+    const allLengths = Array.from({ length: size - 2 }, (_, i) => i + 3);
     console.log("🔹 Step 3: Building and hydrating word pools...");
     await buildCandidatePools({ topic, lengths: allLengths, perLength: 50 });
     console.log("   → Success: Word pools are ready.");
@@ -110,10 +137,24 @@ async function main() {
       "🔹 Step 4: Solving the puzzle grid (this may take up to a minute)..."
     );
     const solveResult = await planAndSolve({
-      size: 12,
+      size,
+      symmetry,
+      style,
+      patternTags,
+      rebus,
+      annotations,
+      template,
       difficulty,
       logs: true,
       themeWords,
+      seed: seed ?? undefined,
+      fills,
+      minDistinctEntries,
+      diagnose,
+      wordSources,
+      hydrationCache,
+      blocklist,
+      poolSources,
     });
 
     if (!solveResult.ok) {
@@ -0,0 +1,88 @@
+// src/run-refill.js
+import { refillRegion, readGridDoc } from "./solver/refill.js";
+import { writeArtifacts, GRID_FINAL_PATH } from "./solver/planner.js";
+import { puzzleConfig } from "./config/puzzleConfig.js";
+import { buildTieredIndexes } from "./dictionary/indexes.js";
+import { loadPoolsSafe } from "./utils/poolsStore.js";
+import { annotationsFromJSON, barsFromJSON } from "./grid/gridModel.js";
+
+// `npm run refill -- A_0_0 D_0_3 4,7 [--in=path] [--seed=N] [--keep-old]
+// [--source=local,manual]` clears the named slots and every slot through the
+// r,c cells, refills them with everything else locked, and rewrites
+// grid_final.json on success.
+const args = process.argv.slice(2);
+const flag = (name) =>
+  args.find((a) => a.startsWith(`--${name}=`))?.slice(name.length + 3);
+const targets = args.filter((a) => !a.startsWith("--"));
+const slotIds = targets.filter((a) => /^[AD]_\d+_\d+$/.test(a));
+const cells = targets
+  .filter((a) => /^\d+,\d+$/.test(a))
+  .map((a) => a.split(",").map(Number));
+const unknown = targets.filter(
+  (a) => !slotIds.includes(a) && !/^\d+,\d+$/.test(a)
+);
+
+if (targets.length === 0 || unknown.length > 0) {
+  console.error(
+    "Usage: node src/run-refill.js <slotId|r,c> [...] [--in=grid.json] [--seed=N] [--keep-old] [--source=a,b]\n" +
+      "Example: node src/run-refill.js A_0_0 D_0_3 4,7"
+  );
+  if (unknown.length > 0)
+    console.error(`Not a slot or cell: ${unknown.join(", ")}`);
+  process.exit(1);
+}
+
+const gridPath = flag("in") || GRID_FINAL_PATH;
+const gridDoc = await readGridDoc(gridPath);
+const seed = flag("seed") ? Number(flag("seed")) : undefined;
+
+const res = await refillRegion({
+  gridDoc,
+  slotIds,
+  cells,
+  indexes: buildTieredIndexes(await loadPoolsSafe()),
+  difficulty: puzzleConfig.difficulty,
+  seed,
+  logs: true,
+  keepOldWords: args.includes("--keep-old"),
+  wordSources: puzzleConfig.wordSources,
+  hydrationCache: puzzleConfig.hydrationCache,
+  blocklist: puzzleConfig.blocklist,
+  poolSources: flag("source")?.split(",") ?? puzzleConfig.poolSources,
+  annotations: puzzleConfig.annotations,
+});
+
+if (!res.ok) {
+  console.log(
+    res.reason === "no_refill"
+      ? `❌ No refill of ${res.refill.cleared.join(", ")} exists under the current dictionary.`
+      : `❌ Refill failed: ${res.reason}`
+  );
+  process.exit(1);
+}
+
+const bars = gridDoc.bars ? barsFromJSON(gridDoc.bars) : undefined;
+// Everything else in the document (theme, hidden words, ...) carries over;
+// theme entries that were just refilled are no longer placed.
+const base = { ...gridDoc };
+if (gridDoc.theme) {
+  const cleared = new Set(res.refill.cleared);
+  base.theme = {
+    ...gridDoc.theme,
+    placed: (gridDoc.theme.placed || []).filter((p) => !cleared.has(p.slotId)),
+  };
+}
+await writeArtifacts({
+  base,
+  result: res,
+  grid: res.grid,
+  size: res.grid.length,
+  style: gridDoc.style,
+  bars,
+  annotations: annotationsFromJSON(gridDoc.annotations),
+  seed: seed ?? gridDoc.seed, // --seed replaces the layout's seed
+});
+console.log("✅ Refilled:");
+for (const { slotId, from, to } of res.refill.changes) {
+  console.log(`  • ${slotId}: ${from} → ${to}`);
+}
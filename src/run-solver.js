@@ -1,14 +1,86 @@
 // src/run-solver.js
-import { planAndSolve } from "./solver/planner.js";
+import { startSolveJob } from "./solver/solveJob.js";
 import { puzzleConfig } from "./config/puzzleConfig.js";
+import { readTemplateFile } from "./solver/template.js";
 
-const { difficulty } = puzzleConfig;
-
-const res = await planAndSolve({
-  size: 12,
+const {
   difficulty,
-  logs: true, // set false to quiet logs
-  // allowRescue: true, // override difficulty if needed
+  size,
+  symmetry,
+  style,
+  patternTags,
+  rebus,
+  annotations,
+  fills,
+  minDistinctEntries,
+  diagnose,
+  wordSources,
+  hydrationCache,
+  blocklist,
+  poolSources,
+} = puzzleConfig;
+
+// `npm run solve -- path/to/template.json` solves a user-supplied grid;
+// `--seed=1234` replays a recorded run; `--diagnose` explains failures;
+// `--source=local,manual` fills only from pool words of those sources.
+const args = process.argv.slice(2);
+const templatePath = args.find((a) => !a.startsWith("--"));
+const template = templatePath
+  ? await readTemplateFile(templatePath)
+  : puzzleConfig.template;
+const seedArg = args.find((a) => a.startsWith("--seed="));
+const seed = seedArg
+  ? Number(seedArg.slice("--seed=".length))
+  : puzzleConfig.seed;
+const sourceArg = args.find((a) => a.startsWith("--source="));
+const sources = sourceArg
+  ? sourceArg.slice("--source=".length).split(",").filter(Boolean)
+  : poolSources;
+
+// The solver runs in a worker: progress streams in, and Ctrl-C cancels the
+// solve (a second Ctrl-C quits outright).
+const job = startSolveJob(
+  {
+    size,
+    symmetry,
+    style,
+    patternTags,
+    rebus,
+    annotations,
+    template,
+    difficulty,
+    fills,
+    minDistinctEntries,
+    diagnose: diagnose || args.includes("--diagnose"),
+    wordSources,
+    hydrationCache,
+    blocklist,
+    poolSources: sources,
+    seed: Number.isFinite(seed) ? seed : undefined,
+    logs: true, // set false to quiet logs
+    // allowRescue: true, // override difficulty if needed
+  },
+  {
+    onProgress: (p) =>
+      process.stderr.write(
+        `\r   … attempt ${p.attempt}/${p.maxAttempts}: ${p.filled}/${p.total} filled, ` +
+          `depth ${p.depth}, ${p.steps} steps, ${p.backtracks} backtracks, ${p.backjumps} backjumps `
+      ),
+  }
+);
+
+process.once("SIGINT", () => {
+  console.error("\n⏹  Cancelling solve (Ctrl-C again to quit)...");
+  job.cancel();
+  process.once("SIGINT", () => process.exit(130));
 });
 
+const res = await job.result;
+process.stderr.write("\n");
 console.log(res.ok ? "✅ Solved!" : `❌ Failed: ${res.reason}`);
+if (res.fills?.length > 1) {
+  console.log(
+    `   ${res.fills.length} distinct fills (alternatives in grid_final.json)`
+  );
+}
+console.log(`   Seed ${res.seed} (replay with --seed=${res.seed})`);
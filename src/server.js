@@ -1,12 +1,40 @@
 import express from "express";
-import { readFile } from "fs/promises";
+import { randomUUID } from "crypto";
+import { readFile, rm } from "fs/promises";
 import { PORT, FOUNDATION_FILE_PATH } from "./utils/constants.js";
+import { startSolveJob } from "./solver/solveJob.js";
 
 const app = express();
-const PORT = PORT;
 
 app.use(express.json());
 
+// Solve jobs by id: { job, status, progress, result, error }
+const solves = new Map();
+// Each running solve is a worker with its own copy of the dictionary, so
+// only a few run at once; the rest wait in line, and past that we say no.
+const MAX_RUNNING_SOLVES = Number(process.env.MAX_RUNNING_SOLVES) || 2;
+const MAX_QUEUED_SOLVES = Number(process.env.MAX_QUEUED_SOLVES) || 8;
+const waiting = []; // start() callbacks of queued solves, oldest first
+let running = 0;
+
+// The planAndSolve() options a client may set. Everything else (word
+// sources, caches, artifact paths, ...) names files on this machine and
+// stays under the server's control.
+const SOLVE_OPTIONS = [
+  "size",
+  "difficulty",
+  "seed",
+  "symmetry",
+  "style",
+  "fills",
+  "themeWords",
+  "template",
+];
+// Each job writes grid_final.json/solver_stats.json to its own directory.
+const SOLVES_DIR = "src/data/solves";
+// Finished jobs (and their artifacts) are dropped after this long.
+const SOLVE_TTL_MS = 30 * 60 * 1000;
+
 app.get("/", (req, res) => {
   res.send("Crossword service is up and running!");
 });
@@ -16,6 +44,134 @@ app.get("/foundation", async (req, res) => {
   res.json(JSON.parse(data));
 });
 
+// Start (or queue) a solve in a worker; the body holds SOLVE_OPTIONS.
+app.post("/solve", (req, res) => {
+  const body = req.body ?? {};
+  if (typeof body !== "object" || Array.isArray(body)) {
+    return res.status(400).json({ error: "Expected a JSON object." });
+  }
+  const unknown = Object.keys(body).filter((k) => !SOLVE_OPTIONS.includes(k));
+  if (unknown.length > 0) {
+    return res.status(400).json({
+      error: `Unsupported solve options: ${unknown.join(", ")}.`,
+      allowed: SOLVE_OPTIONS,
+    });
+  }
+
+  if (running >= MAX_RUNNING_SOLVES && waiting.length >= MAX_QUEUED_SOLVES) {
+    res.set("Retry-After", "30");
+    return res.status(503).json({ error: "Too many solves; try again later." });
+  }
+
+  const id = randomUUID();
+  const dir = `${SOLVES_DIR}/${id}`;
+  const entry = { status: "queued", progress: null, listeners: new Set() };
+  const emit = (event, data) => {
+    for (const send of entry.listeners) send(event, data);
+  };
+  const finish = () => {
+    emit("done", summarize(entry));
+    setTimeout(() => {
+      solves.delete(id);
+      rm(dir, { recursive: true, force: true }).catch(() => {});
+    }, SOLVE_TTL_MS).unref();
+  };
+
+  const start = () => {
+    running++;
+    entry.status = "running";
+    entry.job = startSolveJob(
+      { ...body, artifactsDir: dir },
+      {
+        onProgress: (progress) => {
+          entry.progress = progress;
+          emit("progress", progress);
+        },
+      }
+    );
+    entry.job.result
+      .then(
+        (result) => {
+          entry.status = result.ok ? "solved" : "failed";
+          entry.result = result;
+        },
+        (error) => {
+          entry.status = "error";
+          entry.error = error.message;
+        }
+      )
+      .then(() => {
+        running--;
+        finish();
+        waiting.shift()?.();
+      });
+  };
+  entry.unqueue = () => {
+    waiting.splice(waiting.indexOf(start), 1);
+    entry.status = "cancelled";
+    finish();
+  };
+
+  solves.set(id, entry);
+  if (running < MAX_RUNNING_SOLVES) start();
+  else waiting.push(start);
+  res.status(202).json({ id, status: entry.status });
+});
+
+app.get("/solve/:id", (req, res) => {
+  const entry = solves.get(req.params.id);
+  if (!entry) return res.status(404).json({ error: "Unknown solve id." });
+  res.json(summarize(entry));
+});
+
+// Live progress as server-sent events: "progress" events, then one "done".
+app.get("/solve/:id/events", (req, res) => {
+  const entry = solves.get(req.params.id);
+  if (!entry) return res.status(404).json({ error: "Unknown solve id." });
+
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+  });
+  res.flushHeaders();
+  const send = (event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    if (event === "done") res.end();
+  };
+
+  if (entry.status !== "running" && entry.status !== "queued") {
+    return send("done", summarize(entry));
+  }
+  if (entry.progress) send("progress", entry.progress);
+  entry.listeners.add(send);
+  req.on("close", () => entry.listeners.delete(send));
+});
+
+app.delete("/solve/:id", (req, res) => {
+  const entry = solves.get(req.params.id);
+  if (!entry) return res.status(404).json({ error: "Unknown solve id." });
+  if (entry.status === "running") entry.job.cancel();
+  else if (entry.status === "queued") entry.unqueue();
+  res.status(202).json({ id: req.params.id, status: entry.status });
+});
+
+/** JSON view of a solve job (assignments and partial fills as objects). */
+function summarize({ status, progress, result, error }) {
+  const out = { status, progress };
+  if (result) {
+    out.result = {
+      ...result,
+      assignments: result.assignments
+        ? Object.fromEntries(result.assignments)
+        : undefined,
+      partial: result.partial ? Object.fromEntries(result.partial) : undefined,
+    };
+  }
+  if (error) out.error = error;
+  return out;
+}
+
 app.listen(PORT, () => {
   console.log(`Server listening on http://localhost:${PORT}`);
 });
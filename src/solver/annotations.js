@@ -0,0 +1,106 @@
+// src/solver/annotations.js
+import { RULES, isValidToken, normalizeToken } from "../config/rules.js";
+import {
+  placeLetter,
+  makeAnnotations,
+  annotateCell,
+} from "../grid/gridModel.js";
+
+/**
+ * Build the annotation layer for a layout and apply its letter constraints.
+ * Each spec is { kind, cells, spells? }:
+ * - kind:   one of RULES.annotationKinds ("circled" | "shaded")
+ * - cells:  [[r,c], ...] to annotate (required: where a hidden word can go
+ *           depends on what the word list can fill around it)
+ * - spells: the spec's cells must read this string in reading order
+ *           (e.g. "ULTRASOUND"); its letters are fixed before solving, so the
+ *           solver only accepts fills that keep them.
+ *
+ * @param {string[][]} grid  mutated in place
+ * @returns {{ ok: boolean, annotations: object, spelled?: Array<{ kind, spells, cells }>, failed?: object }}
+ *   `spelled` lists the cells each `spells` spec fixed, as [[r,c], ...]
+ */
+export function applyAnnotations(grid, specs = []) {
+  const annotations = makeAnnotations();
+  const spelled = [];
+
+  for (const spec of specs) {
+    const { kind } = spec;
+    if (!RULES.annotationKinds.includes(kind)) {
+      return {
+        ok: false,
+        annotations,
+        failed: { ...spec, reason: "bad_kind" },
+      };
+    }
+
+    const letters = spec.spells ? normalizeToken(spec.spells) : "";
+    if (letters && !isValidToken(letters)) {
+      return {
+        ok: false,
+        annotations,
+        failed: { ...spec, reason: "bad_spells" },
+      };
+    }
+
+    if (!Array.isArray(spec.cells)) {
+      return {
+        ok: false,
+        annotations,
+        failed: { ...spec, reason: "missing_cells" },
+      };
+    }
+    const cells = spec.cells.map(([r, c]) => ({ r, c }));
+    cells.sort((a, b) => a.r - b.r || a.c - b.c);
+
+    for (const { r, c } of cells) {
+      if (!annotateCell(grid, annotations, kind, r, c)) {
+        return {
+          ok: false,
+          annotations,
+          failed: { ...spec, reason: "cell_blocked" },
+        };
+      }
+    }
+
+    if (!letters) continue;
+    if (cells.length !== letters.length) {
+      return {
+        ok: false,
+        annotations,
+        failed: { ...spec, reason: "length_mismatch" },
+      };
+    }
+    for (let i = 0; i < cells.length; i++) {
+      const { r, c } = cells[i];
+      const ch = grid[r][c];
+      if (ch === letters[i]) continue;
+      if (ch !== RULES.unknownChar || !placeLetter(grid, r, c, letters[i])) {
+        return {
+          ok: false,
+          annotations,
+          failed: { ...spec, reason: "letter_conflict" },
+        };
+      }
+    }
+    spelled.push({
+      kind,
+      spells: letters,
+      cells: cells.map(({ r, c }) => [r, c]),
+    });
+  }
+
+  return { ok: true, annotations, spelled };
+}
+
+/** Throws unless every annotation spec names its cells (see applyAnnotations). */
+export function assertAnnotationCells(specs = []) {
+  const missing = specs.filter((spec) => !Array.isArray(spec?.cells));
+  if (missing.length > 0) {
+    throw new Error(
+      `Annotations need their cells ([[r,c], ...]); missing for: ${missing
+        .map((spec) => spec?.spells || spec?.kind)
+        .join(", ")}`
+    );
+  }
+}
@@ -1,20 +1,82 @@
 // src/solver/backtracker.js
 import { getDifficultyConfig } from "../config/difficulty.js";
 import { buildSlots } from "../grid/slots.js";
+import { toStrings, cloneGrid } from "../grid/gridModel.js";
 import { initDomains } from "./domains.js";
+import { restrictIndexesByScore, wordScore } from "../dictionary/indexes.js";
 import { selectNextSlot, orderCandidatesLCV } from "./heuristics.js";
-import { tryPlaceAndPropagate, undoPlacement } from "./propagate.js";
+import {
+  tryPlaceAndPropagate,
+  undoPlacement,
+  propagateArcConsistency,
+} from "./propagate.js";
 import { OneLookHydrator } from "./hydrator.js";
+import { createConflictTracker } from "./conflicts.js";
+import { makeRNG } from "../utils/random.js";
+
+const PROGRESS_INTERVAL_MS = 250;
+// Multi-fill mode stops after this many times the requested number of fills.
+const FILL_POOL_FACTOR = 3;
 
 // Utility to shuffle an array in place
-function shuffle(a) {
+function shuffle(a, rand = Math.random) {
   for (let i = a.length - 1; i > 0; i--) {
-    const j = (Math.random() * (i + 1)) | 0;
+    const j = (rand() * (i + 1)) | 0;
     [a[i], a[j]] = [a[j], a[i]];
   }
   return a;
 }
 
+/** Average and minimum fill score over every entry of a finished grid. */
+function fillScores(assignments, indexes) {
+  const scores = [...assignments.values()].map((w) => wordScore(indexes, w));
+  if (scores.length === 0) return { averageScore: 0, minScore: 0 };
+  const total = scores.reduce((a, b) => a + b, 0);
+  return {
+    averageScore: Math.round((total / scores.length) * 10) / 10,
+    minScore: Math.min(...scores),
+  };
+}
+
+/** Number of slots whose words differ between two fills. */
+function entriesDiffering(a, b) {
+  let n = 0;
+  for (const [id, w] of a) if (b.get(id) !== w) n++;
+  return n;
+}
+
+/**
+ * Rank fills (most theme words, then average and minimum fill score) and
+ * keep the best ones that differ from every kept fill in at least
+ * `minDistinctEntries` entries. The best fill doubles as the main result.
+ */
+function bestFillsResult(found, { maxFills, minDistinctEntries }) {
+  const ranked = [...found].sort(
+    (a, b) =>
+      b.themeWords - a.themeWords ||
+      b.fill.averageScore - a.fill.averageScore ||
+      b.fill.minScore - a.fill.minScore
+  );
+  const fills = [];
+  for (const f of ranked) {
+    if (fills.length >= maxFills) break;
+    if (
+      fills.every(
+        (k) =>
+          entriesDiffering(k.assignments, f.assignments) >= minDistinctEntries
+      )
+    ) {
+      fills.push(f);
+    }
+  }
+  return {
+    ok: true,
+    assignments: fills[0].assignments,
+    grid: fills[0].grid,
+    fills,
+  };
+}
+
 // A more structured and readable failure message creator
 function fail(reason, details, t0, cfg, stats = {}) {
   const durationMs = Date.now() - t0;
@@ -26,6 +88,7 @@ function fail(reason, details, t0, cfg, stats = {}) {
       level: cfg.level,
       steps: stats.steps || 0,
       backtracks: stats.backtracks || 0,
+      backjumps: stats.backjumps || 0,
       maxDepth: stats.maxDepth || 0,
       durationMs,
       starvedAtInit: stats.starvedAtInit || [],
@@ -42,11 +105,28 @@ export async function solveWithBacktracking({
   logs = false,
   themeSlotIds = [],
   themeWords = [],
+  locked = new Map(), // slotId -> word already written into the grid; kept as-is
+  bars, // barred grids: layer from makeBars(); entries stop at bars
+  onProgress, // async ({ steps, backtracks, backjumps, depth, filled, total, grid }) => void
+  shouldStop = () => false, // true = give up now with reason "cancelled"
+  seed, // number: candidate shuffling replays exactly (default: unseeded)
+  maxFills = 1, // > 1: keep searching and return up to this many fills
+  minDistinctEntries = 4, // entries any two returned fills must differ in
+  wordSource, // where the hydrator gets more words (see wordSources.js)
+  blocklist, // hydrated words it blocks are dropped (default: every list)
+  timeoutMs, // search time limit (default: the level's timeoutMs)
 }) {
   const cfg = getDifficultyConfig(difficulty);
+  const timeLimit = timeoutMs ?? cfg.timeoutMs;
   const t0 = Date.now();
+  const rand = makeRNG(seed);
+  // Weak fill never enters a domain; theme and locked words are exempt.
+  const pool =
+    cfg.minWordScore > 0
+      ? restrictIndexesByScore(indexes, cfg.minWordScore)
+      : indexes;
 
-  const { slots, byId: slotsById } = buildSlots(grid);
+  const { slots, byId: slotsById } = buildSlots(grid, { bars });
   if (slots.length === 0) {
     return fail(
       "no_slots",
@@ -60,7 +140,7 @@ export async function solveWithBacktracking({
   const { domains, starved } = initDomains({
     grid,
     slots,
-    indexes,
+    indexes: pool,
     usedWords,
     themeSlotIds,
     themeWords,
@@ -77,53 +157,164 @@ export async function solveWithBacktracking({
     }
   }
 
-  const empties = [...domains.entries()]
+  // Locked entries are pre-assigned: their domain is the locked word and the
+  // word is unavailable everywhere else.
+  for (const [slotId, word] of locked) {
+    domains.set(slotId, [word]);
+    usedWords.add(word);
+    if (enforceUniqueAnswers) {
+      for (const [id, list] of domains) {
+        if (id !== slotId && list.includes(word)) {
+          domains.set(
+            id,
+            list.filter((w) => w !== word)
+          );
+        }
+      }
+    }
+  }
+
+  // The hydrator is now a core part of the solver's toolkit. Words it
+  // fetches reach pools.json in one save, when the solve ends.
+  const hydrator = new OneLookHydrator({
+    hydrateIfBelow: cfg.hydrateIfBelow,
+    usedWords,
+    logs,
+    source: wordSource,
+    concurrency: cfg.hydrateConcurrency,
+    blocklist,
+  });
+
+  // Prefetch for empty and starved slots in one batch before searching,
+  // rather than one at a time when the search reaches them. Theme slots
+  // take theme words only, so fetching fill for them would be wrong.
+  const hydratable = (id) => !themeSlotIds.includes(id);
+  const prefetch = [
+    ...new Set([
+      ...[...domains.entries()]
+        .filter(([id, d]) => d.length === 0 && hydratable(id))
+        .map(([id]) => id),
+      ...starved.filter((id) => !locked.has(id)),
+    ]),
+  ];
+  if (prefetch.length > 0) {
+    await hydrator.hydrateSlots(
+      domains,
+      grid,
+      prefetch.map((id) => slotsById.get(id))
+    );
+  }
+  // Re-check for empties
+  const stillEmpty = [...domains.entries()]
     .filter(([, d]) => d.length === 0)
     .map(([id]) => id);
-  if (empties.length > 0) {
-    // Before failing, try one initial hydration pass for empty slots.
-    const hydrator = new OneLookHydrator({
-      hydrateIfBelow: 1,
-      usedWords,
-      logs,
+  if (stillEmpty.length > 0) {
+    await hydrator.flush();
+    return fail(
+      "unsatisfiable_initial_domains",
+      { empties: stillEmpty, starved },
+      t0,
+      cfg
+    );
+  }
+
+  const assignments = new Map(locked);
+
+  // Make the starting domains arc-consistent so the search never tries words
+  // that no crossing can ever support.
+  if (cfg.propagation === "ac3") {
+    const { emptied, stopped } = propagateArcConsistency({
+      grid,
+      domains,
+      slotsById,
+      isAssigned: (id) => assignments.has(id),
+      shouldStop,
     });
-    for (const slotId of empties) {
-      await hydrator.hydrateSlot(domains, grid, slotsById.get(slotId));
+    if (stopped) {
+      await hydrator.flush();
+      return fail("cancelled", { assignedCount: assignments.size }, t0, cfg);
     }
-    // Re-check for empties
-    const stillEmpty = [...domains.entries()]
-      .filter(([, d]) => d.length === 0)
-      .map(([id]) => id);
-    if (stillEmpty.length > 0) {
+    if (emptied.length > 0) {
+      await hydrator.flush();
       return fail(
         "unsatisfiable_initial_domains",
-        { empties: stillEmpty, starved },
+        { empties: emptied, starved, note: "Emptied by arc consistency." },
         t0,
         cfg
       );
     }
   }
 
-  const assignments = new Map();
-  // The hydrator is now a core part of the solver's toolkit.
-  const hydrator = new OneLookHydrator({
-    hydrateIfBelow: cfg.hydrateIfBelow,
-    usedWords,
-    logs,
-  });
-
   const stats = {
     level: cfg.level,
     steps: 0,
     backtracks: 0,
+    backjumps: 0,
     maxDepth: 0,
     starvedAtInit: starved,
   };
 
+  // Complete fills seen so far (multi-fill mode only).
+  const found = [];
+  // Where the search starves: slots emptied or exhausted, with counts, and
+  // the fullest partial fill reached. Failures report both.
+  const starvation = new Map();
+  const starve = (id) => starvation.set(id, (starvation.get(id) || 0) + 1);
+  let deepest = new Map();
+  const themeSet = new Set(themeWords);
+
+  // Search assignments in order; conflicts name the ones to jump back to.
+  const stack = [];
+  const conflicts = createConflictTracker({
+    grid,
+    slotsById,
+    stack,
+    assignments,
+    enforceUniqueAnswers,
+  });
+
+  // A dead end: jump to the latest assignment in `conflict` (null = none left).
+  function deadEnd(conflict) {
+    const jumpTo = conflicts.latest(conflict);
+    if (jumpTo !== null && jumpTo !== stack[stack.length - 1]) {
+      stats.backjumps++;
+    }
+    return { ok: false, jumpTo, conflict };
+  }
+
+  // Progress goes out at most every PROGRESS_INTERVAL_MS.
+  let lastProgressAt = 0;
+  async function reportProgress(depth) {
+    if (!onProgress || Date.now() - lastProgressAt < PROGRESS_INTERVAL_MS) {
+      return;
+    }
+    lastProgressAt = Date.now();
+    await onProgress({
+      steps: stats.steps,
+      backtracks: stats.backtracks,
+      backjumps: stats.backjumps,
+      depth,
+      filled: assignments.size,
+      total: slots.length,
+      grid: toStrings(grid),
+    });
+  }
+
   async function solve(depth) {
     stats.maxDepth = Math.max(stats.maxDepth, depth);
+    if (assignments.size > deepest.size) deepest = new Map(assignments);
+
+    await reportProgress(depth);
+    if (shouldStop())
+      return fail(
+        "cancelled",
+        { assignedCount: assignments.size },
+        t0,
+        cfg,
+        stats
+      );
 
-    if (Date.now() - t0 > cfg.timeoutMs)
+    if (Date.now() - t0 > timeLimit)
       return fail(
         "timeout",
         { assignedCount: assignments.size },
@@ -140,12 +331,29 @@ export async function solveWithBacktracking({
         stats
       );
     if (assignments.size === slots.length) {
-      return {
-        ok: true,
-        assignments,
-        grid,
-        stats: { ...stats, durationMs: Date.now() - t0 },
-      };
+      if (maxFills <= 1) {
+        stats.fill = fillScores(assignments, indexes);
+        return {
+          ok: true,
+          assignments,
+          grid,
+          stats: { ...stats, durationMs: Date.now() - t0 },
+        };
+      }
+      const words = [...assignments.values()];
+      found.push({
+        assignments: new Map(assignments),
+        grid: cloneGrid(grid),
+        fill: fillScores(assignments, indexes),
+        themeWords: words.filter((w) => themeSet.has(w)).length,
+      });
+      if (found.length >= maxFills * FILL_POOL_FACTOR) {
+        return fail("fills_collected", { fills: found.length }, t0, cfg, stats);
+      }
+      // Resume from a few slots back so the next fill differs in more than
+      // its last entry; everything on the stack counts as the "conflict".
+      const resumeAt = stack[Math.max(0, stack.length - minDistinctEntries)];
+      return { ok: false, jumpTo: resumeAt ?? null, conflict: new Set(stack) };
     }
 
     const slot = selectNextSlot(domains, slotsById, {
@@ -165,22 +373,36 @@ export async function solveWithBacktracking({
     }
 
     // --- DYNAMIC HYDRATION LOGIC ---
+    // Any other open slot running short joins the same batch of requests.
     const currentDomain = domains.get(slot.id) || [];
-    if (hydrator.shouldHydrate(currentDomain.length)) {
-      await hydrator.hydrateSlot(domains, grid, slot);
+    if (hydratable(slot.id) && hydrator.shouldHydrate(currentDomain.length)) {
+      const short = slots.filter(
+        (s) =>
+          s !== slot &&
+          !assignments.has(s.id) &&
+          hydratable(s.id) &&
+          hydrator.shouldHydrate(domains.get(s.id).length)
+      );
+      await hydrator.hydrateSlots(domains, grid, [slot, ...short]);
+    }
+
+    // Re-get in case it was hydrated; shuffled first so only ties vary.
+    const domain = [...(domains.get(slot.id) || [])];
+    if (cfg.shuffleCandidates) {
+      shuffle(domain, rand);
     }
 
     const candidates = orderCandidatesLCV({
       grid,
       slot,
-      candidates: domains.get(slot.id) || [], // Re-get in case it was hydrated
+      candidates: domain,
       slotsById,
-      indexes,
+      indexes: pool,
+      scoreWeight: cfg.scoreWeight,
     });
 
-    if (cfg.shuffleCandidates) {
-      shuffle(candidates);
-    }
+    // Whatever limited this slot's domain is part of why it may run dry.
+    const conflict = conflicts.culprits(slot.id);
 
     for (const word of candidates) {
       stats.steps++;
@@ -191,33 +413,84 @@ export async function solveWithBacktracking({
         word,
         domains,
         slotsById,
-        indexes,
+        indexes: pool,
         usedWords,
         enforceUniqueAnswers,
+        assigned: assignments,
+        propagation: cfg.propagation,
+        shouldStop,
+        themeSlotIds,
+        themeWords,
       });
 
-      if (attempt.ok) {
-        assignments.set(slot.id, word);
-        const result = await solve(depth + 1);
-        if (result.ok) {
-          return result;
+      if (attempt.reason === "cancelled") {
+        return fail(
+          "cancelled",
+          { assignedCount: assignments.size },
+          t0,
+          cfg,
+          stats
+        );
+      }
+      if (!attempt.ok) {
+        (attempt.details?.emptied || []).forEach(starve);
+        for (const id of conflicts.explainFailure(slot.id, attempt)) {
+          conflict.add(id);
         }
-        stats.backtracks++;
-        undoPlacement({ grid, record: attempt.record, domains, usedWords });
-        assignments.delete(slot.id);
+        continue;
+      }
+
+      assignments.set(slot.id, word);
+      stack.push(slot.id);
+      const noted = conflicts.notePlacement(slot.id, attempt.record);
+      const result = await solve(depth + 1);
+      if (result.ok || result.reason) {
+        return result; // solved, or out of time/backtracks
+      }
+      conflicts.forget(noted);
+      stack.pop();
+      undoPlacement({ grid, record: attempt.record, domains, usedWords });
+      assignments.delete(slot.id);
+
+      if (result.jumpTo !== slot.id) {
+        return result; // the culprit was assigned earlier; keep unwinding
+      }
+      stats.backtracks++;
+      for (const id of result.conflict) {
+        if (id !== slot.id) conflict.add(id);
       }
     }
 
-    return { ok: false };
+    starve(slot.id);
+    return deadEnd(conflict);
   }
 
-  const finalResult = await solve(0);
+  const searchResult = await solve(0);
+  await hydrator.flush();
+  // Multi-fill mode succeeds with whatever fills it found, even if the
+  // search then ran out of time or backtracks.
+  const finalResult =
+    found.length > 0
+      ? bestFillsResult(found, { maxFills, minDistinctEntries })
+      : searchResult;
+  if (finalResult.fills) stats.fill = finalResult.fills[0].fill;
   finalResult.stats = { ...stats, durationMs: Date.now() - t0 };
-  if (!finalResult.ok) {
+  if (!finalResult.ok && !finalResult.reason) {
     finalResult.reason = "dead_end";
     finalResult.details = {
       note: `Solver backtracked from all options after filling ${assignments.size} words.`,
     };
+    delete finalResult.jumpTo;
+    delete finalResult.conflict;
+  }
+  if (!finalResult.ok) {
+    finalResult.details = {
+      ...finalResult.details,
+      stuck: [...starvation.keys()].sort(
+        (a, b) => starvation.get(b) - starvation.get(a)
+      ),
+    };
+    finalResult.partial = deepest;
   }
 
   return finalResult;
@@ -0,0 +1,107 @@
+// src/solver/conflicts.js
+import { fitsWord } from "../grid/slots.js";
+
+/**
+ * Conflict bookkeeping for conflict-directed backjumping (FC-CBJ).
+ *
+ * A slot's domain is shaped by the search assignments that
+ * - cross it (their letters are in its pattern),
+ * - used a word that would still fit it (enforceUniqueAnswers), and
+ * - pruned it through arc consistency (kept per slot in `reasons`).
+ * When a domain wipes out, those assignments are the conflict set: undoing
+ * anything assigned after the latest of them cannot help, so the search jumps
+ * straight back to it.
+ *
+ * Only slots on the search stack count; locked entries never move.
+ *
+ * @param {object} opts
+ * - grid: string[][] (live; culprits read the current letters)
+ * - slotsById: Map<string, object>
+ * - stack: string[] slot IDs in assignment order (mutated by the caller)
+ * - assignments: Map<slotId, word>
+ * - enforceUniqueAnswers: boolean
+ */
+export function createConflictTracker({
+  grid,
+  slotsById,
+  stack,
+  assignments,
+  enforceUniqueAnswers = true,
+}) {
+  const reasons = new Map(); // slotId -> Set<slotId> (arc-consistency pruning)
+  const onStack = (id) => stack.includes(id);
+
+  /** Search assignments that limit `slotId`'s domain right now. */
+  function culprits(slotId) {
+    const slot = slotsById.get(slotId);
+    const out = new Set(reasons.get(slotId) || []);
+    if (!slot) return out;
+    for (const cr of slot.crosses || []) {
+      if (onStack(cr.otherId)) out.add(cr.otherId);
+    }
+    if (enforceUniqueAnswers) {
+      // Only used words the slot could otherwise still take.
+      for (const id of stack) {
+        if (id !== slotId && fitsWord(grid, slot, assignments.get(id))) {
+          out.add(id);
+        }
+      }
+    }
+    out.delete(slotId);
+    return out;
+  }
+
+  /**
+   * Conflict set of a failed tryPlaceAndPropagate() of `slotId`: whatever
+   * limited the slots that emptied or took part in the pruning.
+   */
+  function explainFailure(slotId, attempt) {
+    const { emptied = [], pruned = [], supports = [] } = attempt.details || {};
+    const out = new Set();
+    for (const id of [...emptied, ...pruned, ...supports]) {
+      for (const c of culprits(id)) out.add(c);
+    }
+    out.delete(slotId);
+    return out;
+  }
+
+  /**
+   * Record why slots were pruned by arc consistency while placing `slotId`.
+   * Returns an undo token for forget().
+   */
+  function notePlacement(slotId, record) {
+    const saved = new Map();
+    // Forward checking alone is explained by crossings and word lengths.
+    const supports = record.supportSlots || [];
+    if (supports.length === 0) return saved;
+    const pruned = record.affectedSlots || [];
+
+    const because = new Set([slotId]);
+    for (const id of [...pruned, ...supports]) {
+      for (const c of culprits(id)) because.add(c);
+    }
+    for (const id of pruned) {
+      saved.set(id, reasons.get(id));
+      reasons.set(id, new Set([...(reasons.get(id) || []), ...because]));
+    }
+    return saved;
+  }
+
+  /** Undo a notePlacement(). */
+  function forget(saved) {
+    for (const [id, prev] of saved) {
+      if (prev) reasons.set(id, prev);
+      else reasons.delete(id);
+    }
+  }
+
+  /** The most recently assigned search slot in `conflict`, or null. */
+  function latest(conflict) {
+    for (let i = stack.length - 1; i >= 0; i--) {
+      if (conflict.has(stack[i])) return stack[i];
+    }
+    return null;
+  }
+
+  return { culprits, explainFailure, notePlacement, forget, latest };
+}
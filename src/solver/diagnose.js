@@ -0,0 +1,249 @@
+// src/solver/diagnose.js
+import { RULES } from "../config/rules.js";
+import { getDifficultyConfig } from "../config/difficulty.js";
+import { restrictIndexesByScore } from "../dictionary/indexes.js";
+import { buildSlots, getSlotPattern, splitWordForSlot } from "../grid/slots.js";
+import { initDomains } from "./domains.js";
+import { propagateArcConsistency } from "./propagate.js";
+
+const MAX_REGION = 24; // slots a candidate region may grow to
+const MAX_SEEDS = 12; // smallest-domain slots tried as region seeds
+const SEARCH_BUDGET = 20000; // candidate tries per region check
+
+/**
+ * Look for a small set of slots that cannot be filled together, to explain
+ * why a layout failed. Regions grow breadth-first over the crossing graph
+ * from the most constrained slots, starting with any slot arc consistency
+ * empties. A region counts as unfillable when arc consistency wipes a
+ * domain within it or a bounded search finds no fill. It is then shrunk
+ * until dropping any slot would make it fillable. Uniqueness of answers is
+ * ignored, so a reported core is unfillable even with repeats allowed.
+ *
+ * @param {object} opts
+ * - grid: string[][] the layout as the solver saw it (locked letters included)
+ * - indexes: from buildTieredIndexes(); filtered by the level's minWordScore
+ * - difficulty, bars, themeSlotIds, themeWords, locked: as for the solver
+ * @returns {{ found: boolean, slots: Array<{ id, dir, row, col, length, pattern, domainSize }>, region: string[], note: string }}
+ */
+export function diagnoseUnfillable({
+  grid,
+  indexes,
+  difficulty = 3,
+  bars,
+  themeSlotIds = [],
+  themeWords = [],
+  locked = new Map(),
+}) {
+  const cfg = getDifficultyConfig(difficulty);
+  const pool =
+    cfg.minWordScore > 0
+      ? restrictIndexesByScore(indexes, cfg.minWordScore)
+      : indexes;
+  const { slots, byId } = buildSlots(grid, { bars });
+  const { domains } = initDomains({
+    grid,
+    slots,
+    indexes: pool,
+    themeSlotIds,
+    themeWords,
+  });
+  for (const [id, word] of locked) domains.set(id, [word]);
+
+  const report = (ids, note) => ({
+    found: true,
+    slots: ids.map((id) => describeSlot(grid, byId.get(id), domains)),
+    region: renderRegion(
+      grid,
+      ids.map((id) => byId.get(id))
+    ),
+    note,
+  });
+
+  // A slot with no candidates at all is its own explanation.
+  const empty = slots.find((s) => domains.get(s.id).length === 0);
+  if (empty) {
+    return report([empty.id], "No word in the dictionary fits this entry.");
+  }
+
+  const check = (ids) => regionIsUnfillable(grid, ids, byId, domains);
+
+  // Slots emptied by arc consistency over the whole grid go first.
+  const copy = new Map([...domains].map(([id, d]) => [id, [...d]]));
+  const { emptied } = propagateArcConsistency({
+    grid,
+    domains: copy,
+    slotsById: byId,
+  });
+  const seeds = [
+    ...emptied,
+    ...slots
+      .map((s) => s.id)
+      .sort((a, b) => domains.get(a).length - domains.get(b).length),
+  ].slice(0, MAX_SEEDS);
+
+  for (const seed of new Set(seeds)) {
+    const region = growRegion(seed, byId, check);
+    if (!region) continue;
+    const core = shrinkRegion(region, check, domains);
+    return report(
+      core,
+      core.length === 1
+        ? "No word fits this entry once its crossings are considered."
+        : `These ${core.length} entries cannot be filled together.`
+    );
+  }
+
+  return {
+    found: false,
+    slots: [],
+    region: [],
+    note: `No unfillable region of up to ${MAX_REGION} entries found; the failure may need a deeper search or a different layout.`,
+  };
+}
+
+/** Breadth-first region around `seed`, grown until `check` proves it unfillable. */
+function growRegion(seed, byId, check) {
+  const region = [seed];
+  const seen = new Set(region);
+  let frontier = [seed];
+  while (frontier.length > 0 && region.length <= MAX_REGION) {
+    if (check(region)) return region;
+    const next = [];
+    for (const id of frontier) {
+      for (const cr of byId.get(id).crosses) {
+        if (seen.has(cr.otherId) || region.length >= MAX_REGION) continue;
+        seen.add(cr.otherId);
+        region.push(cr.otherId);
+        next.push(cr.otherId);
+      }
+    }
+    frontier = next;
+  }
+  return check(region) ? region : null;
+}
+
+/** Drop slots (roomiest first) while the rest stays unfillable. */
+function shrinkRegion(region, check, domains) {
+  let core = [...region];
+  const order = [...region].sort(
+    (a, b) => domains.get(b).length - domains.get(a).length
+  );
+  for (const id of order) {
+    if (core.length === 1) break;
+    const without = core.filter((x) => x !== id);
+    if (check(without)) core = without;
+  }
+  return core;
+}
+
+/**
+ * True when the slots `ids`, with crossings among themselves only, have no
+ * fill: arc consistency empties a domain, or a bounded search fails. Running
+ * out of budget counts as fillable, so reported cores stay trustworthy.
+ */
+function regionIsUnfillable(grid, ids, byId, domains) {
+  const inRegion = new Set(ids);
+  const sub = new Map();
+  const subDomains = new Map();
+  for (const id of ids) {
+    const slot = byId.get(id);
+    sub.set(id, {
+      ...slot,
+      crosses: slot.crosses.filter((cr) => inRegion.has(cr.otherId)),
+    });
+    subDomains.set(id, [...domains.get(id)]);
+  }
+
+  const { emptied } = propagateArcConsistency({
+    grid,
+    domains: subDomains,
+    slotsById: sub,
+  });
+  if (emptied.length > 0) return true;
+
+  // Fill in an order that keeps each slot next to already-filled ones.
+  const order = [];
+  const left = new Set(ids);
+  while (left.size > 0) {
+    const linked = (id) =>
+      sub.get(id).crosses.filter((cr) => order.includes(cr.otherId)).length;
+    const [next] = [...left].sort(
+      (a, b) =>
+        linked(b) - linked(a) ||
+        subDomains.get(a).length - subDomains.get(b).length
+    );
+    order.push(next);
+    left.delete(next);
+  }
+
+  const tokens = new Map(); // slotId -> tokens of the word placed there
+  let budget = SEARCH_BUDGET;
+  const fits = (slot, parts) =>
+    slot.crosses.every((cr) => {
+      const other = tokens.get(cr.otherId);
+      return !other || other[cr.atOther] === parts[cr.atThis];
+    });
+  const fill = (i) => {
+    if (i === order.length) return true;
+    const slot = sub.get(order[i]);
+    for (const w of subDomains.get(slot.id)) {
+      if (--budget < 0) return true; // out of budget: assume fillable
+      const parts = splitWordForSlot(grid, slot, w);
+      if (!parts || !fits(slot, parts)) continue;
+      tokens.set(slot.id, parts);
+      if (fill(i + 1)) return true;
+      tokens.delete(slot.id);
+    }
+    return false;
+  };
+  return !fill(0);
+}
+
+function describeSlot(grid, slot, domains) {
+  return {
+    id: slot.id,
+    dir: slot.dir,
+    row: slot.row,
+    col: slot.col,
+    length: slot.length,
+    pattern: getSlotPattern(grid, slot),
+    domainSize: domains.get(slot.id).length,
+  };
+}
+
+/**
+ * Draw the bounding box of `slots` (one cell of margin): their cells show
+ * the current letter or "?", other white cells "-", blocks "#". The first
+ * line holds column numbers; each row starts with its row number.
+ */
+export function renderRegion(grid, slots) {
+  const n = grid.length;
+  const mine = new Set(
+    slots.flatMap((s) => s.cells.map(({ r, c }) => `${r},${c}`))
+  );
+  const rows = slots.flatMap((s) => s.cells.map(({ r }) => r));
+  const cols = slots.flatMap((s) => s.cells.map(({ c }) => c));
+  const r0 = Math.max(0, Math.min(...rows) - 1);
+  const r1 = Math.min(n - 1, Math.max(...rows) + 1);
+  const c0 = Math.max(0, Math.min(...cols) - 1);
+  const c1 = Math.min(n - 1, Math.max(...cols) + 1);
+
+  const pad = (s) => String(s).padStart(3);
+  const lines = [
+    "   " + Array.from({ length: c1 - c0 + 1 }, (_, i) => pad(c0 + i)).join(""),
+  ];
+  for (let r = r0; r <= r1; r++) {
+    let line = pad(r);
+    for (let c = c0; c <= c1; c++) {
+      line += pad(cellMark(grid[r][c], mine.has(`${r},${c}`)));
+    }
+    lines.push(line);
+  }
+  return lines;
+}
+
+function cellMark(ch, inRegion) {
+  if (ch === RULES.blockChar) return "#";
+  if (!inRegion) return "-";
+  return ch === RULES.unknownChar ? "?" : ch;
+}
@@ -1,6 +1,5 @@
 // src/solver/domains.js
-import { RULES } from "../config/rules.js";
-import { getSlotPattern } from "../grid/slots.js";
+import { getSlotPattern, fitsWord } from "../grid/slots.js";
 import { candidatesForPattern } from "../dictionary/indexes.js";
 
 /**
@@ -26,27 +25,16 @@ export function initDomains({
   const STARVE_THRESHOLD = 3;
 
   for (const slot of slots) {
-    let list;
-    const isThemeSlot = themeSlotIds.includes(slot.id);
-
-    if (isThemeSlot) {
-      // Theme slots have a special, restricted domain from the theme list.
-      const pattern = getSlotPattern(grid, slot);
-      list = themeWords.filter((w) => {
-        if (w.length !== slot.length) return false;
-        for (let i = 0; i < w.length; i++) {
-          if (pattern[i] !== RULES.unknownChar && pattern[i] !== w[i]) {
-            return false;
-          }
-        }
-        return !usedWords.has(w);
-      });
-    } else {
-      // Filler slots use the main unified pool.
-      list = computeDomain({ grid, slot, indexes, usedWords });
-      if (list.length < STARVE_THRESHOLD) {
-        starved.push(slot.id);
-      }
+    const list = computeDomain({
+      grid,
+      slot,
+      indexes,
+      usedWords,
+      themeSlotIds,
+      themeWords,
+    });
+    if (!themeSlotIds.includes(slot.id) && list.length < STARVE_THRESHOLD) {
+      starved.push(slot.id);
     }
     domains.set(slot.id, list);
   }
@@ -56,6 +44,7 @@ export function initDomains({
 
 /**
  * Recompute domains for a set of affected slots after a word is placed.
+ * Theme slots stay limited to the theme words (see computeDomain).
  */
 export function recomputeDomainsForSlots({
   grid,
@@ -64,6 +53,8 @@ export function recomputeDomainsForSlots({
   indexes,
   usedWords = new Set(),
   domains,
+  themeSlotIds = [],
+  themeWords = [],
 }) {
   const emptied = [];
 
@@ -71,7 +62,14 @@ export function recomputeDomainsForSlots({
     const slot = slotsById.get(id);
     if (!slot) continue;
 
-    const list = computeDomain({ grid, slot, indexes, usedWords });
+    const list = computeDomain({
+      grid,
+      slot,
+      indexes,
+      usedWords,
+      themeSlotIds,
+      themeWords,
+    });
     if (list.length === 0) {
       emptied.push(id);
     }
@@ -82,19 +80,33 @@ export function recomputeDomainsForSlots({
 }
 
 /**
- * Compute the domain for a single slot from the main pool.
+ * Compute the domain for a single slot from the main pool. Theme slots
+ * (listed in `themeSlotIds`) only ever take theme words; fitsWord also
+ * lines those up against any rebus cells.
  */
-export function computeDomain({ grid, slot, indexes, usedWords = new Set() }) {
+export function computeDomain({
+  grid,
+  slot,
+  indexes,
+  usedWords = new Set(),
+  themeSlotIds = [],
+  themeWords = [],
+}) {
+  if (themeSlotIds.includes(slot.id)) {
+    return themeWords.filter(
+      (w) => fitsWord(grid, slot, w) && !usedWords.has(w)
+    );
+  }
   const pattern = getSlotPattern(grid, slot);
-  const candidates = candidatesForPattern(indexes, slot.length, pattern, {
-    order: "alpha",
-  });
+  const candidates = candidatesForPattern(indexes, slot.length, pattern);
 
   return candidates.filter((w) => !usedWords.has(w));
 }
 
 /**
  * After placing a word into `placedSlot`, recompute domains for its crossing slots.
+ * Already-assigned crossings are skipped: their word is in usedWords, so a
+ * recompute would always empty them.
  */
 export function recomputeAfterPlacement({
   grid,
@@ -103,8 +115,13 @@ export function recomputeAfterPlacement({
   indexes,
   usedWords = new Set(),
   domains,
+  assigned = new Set(),
+  themeSlotIds = [],
+  themeWords = [],
 }) {
-  const affected = (placedSlot.crosses || []).map((cr) => cr.otherId);
+  const affected = (placedSlot.crosses || [])
+    .map((cr) => cr.otherId)
+    .filter((id) => !assigned.has(id));
   const { emptied } = recomputeDomainsForSlots({
     grid,
     slotIds: affected,
@@ -112,6 +129,8 @@ export function recomputeAfterPlacement({
     indexes,
     usedWords,
     domains,
+    themeSlotIds,
+    themeWords,
   });
   return { emptied, affected };
 }
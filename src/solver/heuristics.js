@@ -1,6 +1,7 @@
 // src/solver/heuristics.js
-import { RULES } from "../config/rules.js";
-import { candidatesForPattern } from "../dictionary/indexes.js";
+import { RULES, patternFromCells } from "../config/rules.js";
+import { countForPattern, wordScore } from "../dictionary/indexes.js";
+import { splitWordForSlot } from "../grid/slots.js";
 
 /**
  * Select the next slot to fill using a theme-first, then MRV strategy.
@@ -96,6 +97,9 @@ function better(a, b, tieBreak) {
 /**
  * Order a slot’s candidates using LCV (Least-Constraining Value) scoring.
  * This function remains the same as it's a candidate-level heuristic, not a slot-selection one.
+ * With `scoreWeight` > 0 the word's fill score (0-100) is blended in:
+ * (1 - scoreWeight) * LCV share + scoreWeight * score share. Ties keep the
+ * incoming order.
  */
 export function orderCandidatesLCV({
   grid,
@@ -106,11 +110,13 @@ export function orderCandidatesLCV({
   tierBySlot,
   lcvDepth = 1,
   capPerNeighbor = 50,
+  scoreWeight = 0,
 }) {
   if (!Array.isArray(candidates) || candidates.length <= 1 || lcvDepth === 0) {
     return (candidates || []).slice().sort((a, b) => a.localeCompare(b));
   }
 
+  const lcvMax = capPerNeighbor * Math.max(1, slot.crosses?.length || 0);
   const scored = candidates.map((w) => {
     const lcv = lcvNeighborOptions({
       grid,
@@ -121,10 +127,13 @@ export function orderCandidatesLCV({
       tierBySlot,
       capPerNeighbor,
     });
-    return { w, score: lcv };
+    const score =
+      (1 - scoreWeight) * (lcv / lcvMax) +
+      scoreWeight * (wordScore(indexes, w) / 100);
+    return { w, score };
   });
 
-  scored.sort((a, b) => b.score - a.score || a.w.localeCompare(b.w));
+  scored.sort((a, b) => b.score - a.score);
   return scored.map((x) => x.w);
 }
 
@@ -140,23 +149,26 @@ function lcvNeighborOptions({
   let total = 0;
   if (!slot.crosses || slot.crosses.length === 0) return capPerNeighbor;
 
+  // One token per cell, so crossings index correctly past rebus cells.
+  const parts = splitWordForSlot(grid, slot, word) || word.split("");
+
   for (const cr of slot.crosses) {
     const other = slotsById.get(cr.otherId);
     if (!other) continue;
 
     // Use 'both' for LCV checks to get a more realistic count of potential conflicts
-    const tier = tierBySlot.get(other.id) === "theme" ? "theme" : "both";
+    const tier = tierBySlot?.get(other.id) === "theme" ? "theme" : "both";
 
     const pattern = buildProjectedNeighborPattern(
       grid,
       other,
       cr.atOther,
-      word[cr.atThis]
+      parts[cr.atThis]
     );
-    const count = candidatesForPattern(indexes, other.length, pattern, {
+    const count = countForPattern(indexes, other.length, pattern, {
       tier,
       limit: capPerNeighbor + 1,
-    }).length;
+    });
     total += Math.min(count, capPerNeighbor);
   }
   return total;
@@ -172,5 +184,5 @@ function buildProjectedNeighborPattern(
   if (arr[idxInNeighbor] === RULES.unknownChar) {
     arr[idxInNeighbor] = String(letter || "").toUpperCase();
   }
-  return arr.join("");
+  return patternFromCells(arr);
 }
@@ -1,21 +1,31 @@
 // src/solver/hydrator.js
-import { fetchOneLookByPattern } from "./onelook.js";
+import { createWordSource } from "./wordSources.js";
+import { defaultBlocklist } from "../utils/blocklist.js";
 import {
   addWordsToPools,
   savePoolsAtomic,
   loadPoolsSafe,
 } from "../utils/poolsStore.js";
 
+// Named for its original (and default) word source; any source from
+// wordSources.js works, e.g. a local list or recorded fixtures offline.
 export class OneLookHydrator {
   constructor({
     hydrateIfBelow = 5, // Threshold to trigger API call
     usedWords = new Set(),
     logs = false,
+    source = createWordSource(), // where new words come from (default OneLook)
+    concurrency = 4, // source requests in flight at once
+    blocklist = defaultBlocklist(), // fetched words it blocks are dropped
   } = {}) {
     this.hydrateIfBelow = hydrateIfBelow;
     this.usedWords = usedWords;
     this.logs = logs;
-    this.cache = new Map(); // Cache for the current run: pattern -> words[]
+    this.source = source;
+    this.concurrency = concurrency;
+    this.blocklist = blocklist;
+    this.cache = new Map(); // Cache for the current run: pattern -> Promise<words[]>
+    this.pending = new Map(); // fetched word -> its source, not yet in pools.json
   }
 
   /**
@@ -43,67 +53,147 @@ export class OneLookHydrator {
   }
 
   /**
-   * Fetches words from OneLook, adds them to the main pools.json,
-   * and updates the current in-memory domain for a slot.
-   * @param {Map<string, string[]>} domains The solver's current domains map.
-   * @param {string[][]} grid The current grid state.
-   * @param {object} slot The slot that needs more words.
-   * @returns {Promise<boolean>} True if new words were successfully added.
+   * Fetches more words for one slot; see hydrateSlots().
+   * @returns {Promise<boolean>} True if new words were added to its domain.
    */
   async hydrateSlot(domains, grid, slot) {
-    const pattern = this.patternForSlot(grid, slot);
-    const cacheKey = `${slot.length}:${pattern}`;
+    return (await this.hydrateSlots(domains, grid, [slot])) > 0;
+  }
 
-    if (this.cache.has(cacheKey)) {
-      return false; // Already tried to hydrate this exact pattern in this run
+  /**
+   * Fetches words for a batch of slots and adds them to their in-memory
+   * domains. Each distinct pattern is requested once per run, with up to
+   * `concurrency` requests in flight. New words are queued for pools.json
+   * and written by flush(), once per solve.
+   * @param {Map<string, string[]>} domains The solver's current domains map.
+   * @param {string[][]} grid The current grid state.
+   * @param {object[]} slots The slots that need more words.
+   * @returns {Promise<number>} How many of the slots gained words.
+   */
+  async hydrateSlots(domains, grid, slots) {
+    // Group slots by pattern; patterns tried earlier this run are skipped.
+    const byKey = new Map();
+    for (const slot of slots) {
+      const pattern = this.patternForSlot(grid, slot);
+      const key = `${slot.length}:${pattern}`;
+      if (this.cache.has(key) && !byKey.has(key)) continue;
+      if (!byKey.has(key)) byKey.set(key, { pattern, slots: [] });
+      byKey.get(key).slots.push(slot);
     }
+    const batch = [...byKey.entries()];
+    if (batch.length === 0) return 0;
 
-    if (this.logs)
+    if (this.logs) {
       console.log(
-        `[Hydrator] Domain for ${slot.id} is small. Fetching pattern: ${pattern}`
+        `[Hydrator] Fetching ${batch.length} pattern(s) for ${slots.length} small domain(s): ` +
+          batch.map(([, { pattern }]) => pattern).join(", ")
       );
+    }
 
-    try {
-      // 1. Fetch new words from the API
-      const newWords = await fetchOneLookByPattern(pattern, { max: 200 });
-      this.cache.set(cacheKey, newWords); // Cache the result for this run
+    const results = await mapLimit(batch, this.concurrency, ([key, job]) => {
+      const request = this.fetchPattern(job.pattern);
+      this.cache.set(key, request); // Cache the request for this run
+      return request;
+    });
 
-      if (newWords.length === 0) {
-        if (this.logs)
-          console.log(`[Hydrator] OneLook found no new words for ${pattern}.`);
-        return false;
+    let grown = 0;
+    batch.forEach(([, { slots: group }], i) => {
+      const newWords = results[i];
+      for (const slot of group) {
+        const currentDomain = new Set(domains.get(slot.id) || []);
+        let addedCount = 0;
+        for (const word of newWords) {
+          if (!this.usedWords.has(word) && !currentDomain.has(word)) {
+            currentDomain.add(word);
+            addedCount++;
+          }
+        }
+        if (addedCount > 0) {
+          domains.set(slot.id, Array.from(currentDomain).sort());
+          grown++;
+        }
       }
+    });
+    return grown;
+  }
 
-      // 2. Add new words to the persistent pools.json file
-      const pools = await loadPoolsSafe();
-      addWordsToPools(pools, newWords); // This function now handles a flat structure
-      await savePoolsAtomic(pools);
-      if (this.logs)
+  /** One source request; failures are logged and count as no words. */
+  async fetchPattern(pattern) {
+    try {
+      const fetched = await this.source.fetchByPattern(pattern, { max: 200 });
+      const newWords = fetched.filter((w) => !this.blocklist.has(w));
+      if (this.logs && newWords.length < fetched.length) {
         console.log(
-          `[Hydrator] Added ${newWords.length} new words to pools.json.`
+          `[Hydrator] Dropped ${
+            fetched.length - newWords.length
+          } blocked word(s) for ${pattern}.`
         );
-
-      // 3. Update the current solver's domain with the new words
-      const currentDomain = new Set(domains.get(slot.id) || []);
-      let addedCount = 0;
-      for (const word of newWords) {
-        if (!this.usedWords.has(word) && !currentDomain.has(word)) {
-          currentDomain.add(word);
-          addedCount++;
-        }
       }
-
-      if (addedCount > 0) {
-        domains.set(slot.id, Array.from(currentDomain).sort());
-        return true;
+      if (newWords.length === 0) {
+        if (this.logs)
+          console.log(
+            `[Hydrator] ${this.source.name} found no new words for ${pattern}.`
+          );
+        return [];
+      }
+      for (const w of newWords) {
+        this.pending.set(w, this.source.originOf?.(w) ?? this.source.name);
       }
+      return newWords;
     } catch (e) {
       console.error(
         `[Hydrator] Error fetching or processing words for ${pattern}:`,
         e.message
       );
+      return [];
     }
+  }
 
-    return false;
+  /**
+   * Adds every word fetched since the last flush to pools.json in a single
+   * save, each recorded with the source it came from, and has the source
+   * save its hydration cache. The solver calls this once when a solve ends.
+   * @returns {Promise<number>} How many words were new to the pools.
+   */
+  async flush() {
+    await this.source.flush?.();
+    if (this.pending.size === 0) return 0;
+    const bySource = new Map();
+    for (const [w, source] of this.pending) {
+      if (!bySource.has(source)) bySource.set(source, []);
+      bySource.get(source).push(w);
+    }
+    this.pending.clear();
+    try {
+      const pools = await loadPoolsSafe();
+      let count = 0;
+      for (const [source, words] of bySource) {
+        // The shared lists apply here, not per-puzzle allowances.
+        const added = addWordsToPools(pools, words, { source });
+        count += Object.values(added).reduce((a, b) => a + b, 0);
+      }
+      await savePoolsAtomic(pools);
+      if (this.logs)
+        console.log(`[Hydrator] Added ${count} new words to pools.json.`);
+      return count;
+    } catch (e) {
+      console.error(`[Hydrator] Error saving fetched words:`, e.message);
+      return 0;
+    }
   }
 }
+
+/** Run `fn` over `items` with at most `limit` calls pending at once. */
+async function mapLimit(items, limit, fn) {
+  const out = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const i = next++;
+      out[i] = await fn(items[i]);
+    }
+  };
+  const workers = Math.max(1, Math.min(limit, items.length));
+  await Promise.all(Array.from({ length: workers }, worker));
+  return out;
+}
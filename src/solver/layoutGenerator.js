@@ -4,78 +4,18 @@ import {
   placeBlockSym,
   validateGridBasic,
   cloneGrid,
+  toStrings,
+  fromStrings,
+  makeBars,
+  placeBarSym,
+  countBars,
+  barsToJSON,
+  BAR_SIDES,
 } from "../grid/gridModel.js";
-import { RULES } from "../config/rules.js";
-
-// A set of high-quality, professionally-used seed patterns for 12x12 grids.
-const SEED_PATTERNS = [
-  // Pattern 1 (30 blocks)
-  [
-    [0, 5],
-    [1, 1],
-    [1, 6],
-    [2, 2],
-    [2, 7],
-    [3, 3],
-    [4, 4],
-    [5, 0],
-    [5, 5],
-    [1, 9],
-    [3, 7],
-    [4, 1],
-    [4, 8],
-    [5, 3],
-    [0, 3],
-  ],
-  // Pattern 2 (32 blocks)
-  [
-    [0, 3],
-    [1, 4],
-    [2, 1],
-    [2, 5],
-    [3, 0],
-    [3, 6],
-    [4, 2],
-    [4, 7],
-    [5, 3],
-    [0, 8],
-    [1, 6],
-    [2, 9],
-    [3, 4],
-    [4, 8],
-    [5, 1],
-    [5, 7],
-  ],
-  // Pattern 3 (28 blocks)
-  [
-    [1, 1],
-    [1, 5],
-    [2, 2],
-    [3, 3],
-    [4, 4],
-    [5, 1],
-    [5, 5],
-    [0, 3],
-    [0, 8],
-    [2, 7],
-    [3, 5],
-    [4, 1],
-    [4, 9],
-    [5, 3],
-  ],
-];
-
-// A simple, seeded random number generator for reproducibility.
-function makeRNG(seed) {
-  if (typeof seed !== "number") return Math.random;
-  let t = seed >>> 0;
-  return function () {
-    t += 0x6d2b79f5;
-    let x = Math.imul(t ^ (t >>> 15), 1 | t);
-    x ^= x + Math.imul(x ^ (x >>> 7), 61 | x);
-    return ((x ^ (x >>> 14)) >>> 0) / 4294967296;
-  };
-}
+import { RULES, assertStyleSize } from "../config/rules.js";
+import { scoreLayout } from "./layoutScorer.js";
+import { selectPatterns } from "./patternLibrary.js";
+import { makeRNG } from "../utils/random.js";
 
 // Counts the number of blocks in the grid.
 function countBlocks(grid) {
@@ -83,70 +23,174 @@ function countBlocks(grid) {
 }
 
 /**
- * Generates a valid initial grid layout.
- * It starts with a professional seed pattern and adds random blocks
- * until it meets the budget and passes all structural validation.
+ * Build one random layout: seed pattern + random symmetric blocks.
+ * Returns the grid if it passes validation, otherwise null.
+ */
+function buildCandidate({ size, blockBudget, symmetry, style, seeds, rand }) {
+  const grid = makeEmptyGrid(size);
+
+  // British grids start from the classic lattice: a block at every odd/odd
+  // cell, leaving alternate letters unchecked (odd sizes only; see
+  // assertStyleSize).
+  if (style === "british") {
+    for (let r = 1; r < size; r += 2) {
+      for (let c = 1; c < size; c += 2) {
+        placeBlockSym(grid, r, c, { overwrite: true, symmetry, style });
+      }
+    }
+  }
+
+  // 1. Start with a random seed pattern from the library (if any).
+  if (seeds.length > 0) {
+    const seed = fromStrings(seeds[Math.floor(rand() * seeds.length)].rows);
+    seed.forEach((row, r) =>
+      row.forEach((ch, c) => {
+        if (ch === RULES.blockChar) {
+          placeBlockSym(grid, r, c, { overwrite: true, symmetry, style });
+        }
+      })
+    );
+  }
+
+  // 2. Determine a random target number of blocks within the budget.
+  const targetBlocks = Math.floor(
+    rand() * (blockBudget.max - blockBudget.min + 1) + blockBudget.min
+  );
+
+  // 3. Add random symmetric blocks until the target is reached.
+  let blockPlacementAttempts = 0;
+  while (countBlocks(grid) < targetBlocks && blockPlacementAttempts < 2000) {
+    blockPlacementAttempts++;
+    const r = Math.floor(rand() * size);
+    const c = Math.floor(rand() * size);
+
+    // placeBlockSym returns true if placement was successful and valid.
+    placeBlockSym(grid, r, c, { overwrite: false, symmetry, style });
+  }
+
+  // 4. Final validation to ensure the grid is legal.
+  return validateGridBasic(grid, { symmetry, style }) ? grid : null;
+}
+
+/**
+ * Build one random barred layout: an all-white grid plus random symmetric
+ * bars up to a target within the budget. Returns { grid, bars } or null.
+ */
+function buildBarredCandidate({ size, barBudget, symmetry, rand }) {
+  const grid = makeEmptyGrid(size);
+  const bars = makeBars();
+  const targetBars = Math.floor(
+    rand() * (barBudget.max - barBudget.min + 1) + barBudget.min
+  );
+
+  let barPlacementAttempts = 0;
+  while (countBars(bars) < targetBars && barPlacementAttempts < 2000) {
+    barPlacementAttempts++;
+    const side = BAR_SIDES[Math.floor(rand() * BAR_SIDES.length)];
+    const r = Math.floor(rand() * size);
+    const c = Math.floor(rand() * size);
+    placeBarSym(grid, bars, r, c, side, { symmetry });
+  }
+
+  return validateGridBasic(grid, { symmetry, style: "barred", bars })
+    ? { grid, bars }
+    : null;
+}
+
+/**
+ * Generates valid initial grid layouts and returns the best-scoring ones.
+ * Each candidate starts with a seed pattern from the library and adds random
+ * blocks until it meets the budget and passes all structural validation;
+ * `samples` distinct candidates are then ranked with scoreLayout(). Barred
+ * layouts start all white and add bars instead, returned as `bars`.
  *
  * @param {object} opts
- * - size: number (e.g., 12)
- * - blockBudget: { min: number, max: number }
+ * - size: number (one of RULES.allowedGridSizes, e.g. 5, 12, 15, 21)
+ * - blockBudget: { min: number, max: number } (british: lattice included)
+ * - symmetry: one of RULES.symmetryModes (default RULES.symmetry)
+ * - style: "american" (all letters checked), "british" (unchecked allowed)
+ *   or "barred" (bars between cells instead of blocks)
+ * - barBudget: { min: number, max: number } (barred only)
+ * - patterns: seed library from loadPatternLibrary() (empty = start blank)
+ * - tags: only seed from patterns carrying all of these tags
+ * - level: only seed from patterns suited to this difficulty level
+ * - samples: number of valid candidates to score (default 1)
+ * - keep: number of ranked layouts to return in `layouts` (default 1)
  * - logs: boolean
  * - seed: number (for reproducibility)
- * @returns {{grid: string[][]}}
+ * @returns {{grid: string[][], bars?: object, score: object, layouts: Array<{grid: string[][], bars?: object, score: object}>}}
  */
 export function generateInitialLayout({
   size = 12,
   blockBudget = { min: 28, max: 32 },
+  symmetry = RULES.symmetry,
+  style = RULES.style,
+  barBudget = { min: 30, max: 40 },
+  patterns = [],
+  tags = [],
+  level,
+  samples = 1,
+  keep = 1,
   logs = false,
   seed = Date.now(),
 } = {}) {
+  assertStyleSize(style, size);
   const rand = makeRNG(seed);
-  let grid;
+  const seeds = selectPatterns(patterns, { tags, level });
+  const maxAttempts = 100 + 4 * samples;
+  const found = [];
+  const seen = new Set();
   let attempts = 0;
 
-  // Keep trying until a valid grid is generated or we time out.
-  while (attempts < 100) {
+  // Keep sampling until we have enough distinct valid grids or we time out.
+  while (found.length < samples && attempts < maxAttempts) {
     attempts++;
-    grid = makeEmptyGrid(size);
+    const { grid, bars } =
+      style === "barred"
+        ? buildBarredCandidate({ size, barBudget, symmetry, rand }) || {}
+        : {
+            grid: buildCandidate({
+              size,
+              blockBudget,
+              symmetry,
+              style,
+              seeds,
+              rand,
+            }),
+          };
+    if (!grid) continue;
 
-    // 1. Start with a random seed pattern.
-    const seedPattern =
-      SEED_PATTERNS[Math.floor(rand() * SEED_PATTERNS.length)];
-    for (const [r, c] of seedPattern) {
-      placeBlockSym(grid, r, c, { overwrite: true });
-    }
+    const key =
+      toStrings(grid).join("/") +
+      (bars ? JSON.stringify(barsToJSON(bars)) : "");
+    if (seen.has(key)) continue;
+    seen.add(key);
+    found.push({ grid, bars, score: scoreLayout(grid, { bars }) });
+  }
 
-    // 2. Determine a random target number of blocks within the budget.
-    const targetBlocks = Math.floor(
-      rand() * (blockBudget.max - blockBudget.min + 1) + blockBudget.min
+  if (found.length === 0) {
+    // If we exit the loop empty-handed, we failed to generate a valid grid.
+    throw new Error(
+      `[Layout] Failed to generate a valid grid layout after ${attempts} attempts.`
     );
-
-    // 3. Add random symmetric blocks until the target is reached.
-    let blockPlacementAttempts = 0;
-    while (countBlocks(grid) < targetBlocks && blockPlacementAttempts < 2000) {
-      blockPlacementAttempts++;
-      const r = Math.floor(rand() * size);
-      const c = Math.floor(rand() * size);
-
-      // placeBlockSym returns true if placement was successful and valid.
-      placeBlockSym(grid, r, c, { overwrite: false });
-    }
-
-    // 4. Final validation to ensure the grid is legal. If so, we're done.
-    if (validateGridBasic(grid)) {
-      if (logs) {
-        console.log(
-          `[Layout] Generated a valid layout with ${countBlocks(
-            grid
-          )} blocks after ${attempts} attempts.`
-        );
-      }
-      return { grid };
-    }
   }
 
-  // If we exit the loop, it means we failed to generate a valid grid.
-  throw new Error(
-    `[Layout] Failed to generate a valid grid layout after ${attempts} attempts.`
-  );
+  found.sort((a, b) => b.score.total - a.score.total);
+  const [best] = found;
+  if (logs) {
+    console.log(
+      `[Layout] Scored ${found.length} valid layouts in ${attempts} attempts; ` +
+        `best has ${
+          best.bars
+            ? `${countBars(best.bars)} bars`
+            : `${countBlocks(best.grid)} blocks`
+        } (${symmetry}, ${style}), score ${best.score.total}.`
+    );
+  }
+  return {
+    grid: best.grid,
+    bars: best.bars,
+    score: best.score,
+    layouts: found.slice(0, Math.max(1, keep)),
+  };
 }
@@ -0,0 +1,167 @@
+// src/solver/layoutRepair.js
+import { RULES } from "../config/rules.js";
+import {
+  cloneGrid,
+  removeBlockSym,
+  symmetryOrbit,
+  validateGridBasic,
+  getAcrossRuns,
+  getDownRuns,
+} from "../grid/gridModel.js";
+import { buildSlots } from "../grid/slots.js";
+import { scoreLayout } from "./layoutScorer.js";
+
+const MAX_TARGETS = 3; // stuck slots tried, worst first
+const MAX_CASCADE = 4; // rounds of blocking the short runs a new block leaves
+
+function countBlocks(grid) {
+  return grid.flat().filter((c) => c === RULES.blockChar).length;
+}
+
+/**
+ * Block (r,c) and its symmetric partners on a copy of `grid`, then block any
+ * run left too short to be an entry (and so on, a few rounds deep), the way
+ * a constructor fills in the stub next to a new block. Returns the copy and
+ * every cell blocked, or null if that would cover a letter.
+ */
+function blockWithCascade(grid, r, c, { symmetry, style }) {
+  const next = cloneGrid(grid);
+  const added = [];
+  const block = (rr, cc) => {
+    for (const [br, bc] of symmetryOrbit(next, rr, cc, symmetry)) {
+      if (next[br][bc] === RULES.blockChar) continue;
+      if (next[br][bc] !== RULES.unknownChar) return false;
+      next[br][bc] = RULES.blockChar;
+      added.push([br, bc]);
+    }
+    return true;
+  };
+  const tooShort = ({ length }) =>
+    length < RULES.minEntryLen && !(style !== "american" && length === 1);
+
+  if (!block(r, c)) return null;
+  for (let round = 0; round < MAX_CASCADE; round++) {
+    const stubs = [
+      ...getAcrossRuns(next)
+        .filter(tooShort)
+        .flatMap(({ row, colStart, length }) =>
+          Array.from({ length }, (_, i) => [row, colStart + i])
+        ),
+      ...getDownRuns(next)
+        .filter(tooShort)
+        .flatMap(({ col, rowStart, length }) =>
+          Array.from({ length }, (_, i) => [rowStart + i, col])
+        ),
+    ];
+    if (stubs.length === 0) break;
+    if (!stubs.every(([rr, cc]) => block(rr, cc))) return null;
+  }
+  return { grid: next, added };
+}
+
+/**
+ * Repair a layout the solver got stuck on: break up a starved entry with a
+ * symmetric block group (plus whatever stubs it leaves). When that would go
+ * over the block budget, the new blocks are paid for by removing another
+ * group (a "move"). Every option is re-checked with validateGridBasic() and
+ * the best-scoring one is kept.
+ * Stuck slots are tried worst first; the first that can be broken wins.
+ *
+ * @param {object} opts
+ * - grid: string[][] the layout as solved (rebus tokens, locked letters kept)
+ * - stuck: string[] slot IDs the solver starved on, worst first
+ * - symmetry, style: as for generateInitialLayout()
+ * - blockBudget: { min, max } from the difficulty config
+ * - keepWhite: Set<"r,c"> cells that must stay white (e.g. annotated cells)
+ * @returns {{ grid: string[][], slotId: string, added: Array<[r, c]>, removed: Array<[r, c]>, score: object } | null}
+ */
+export function modifyLayout({
+  grid,
+  stuck,
+  symmetry = RULES.symmetry,
+  style = RULES.style,
+  blockBudget,
+  keepWhite = new Set(),
+}) {
+  if (style === "barred") return null; // no blocks to move
+  const { byId } = buildSlots(grid);
+  const targets = stuck.filter((id) => byId.has(id)).slice(0, MAX_TARGETS);
+  const blocks = grid
+    .flatMap((row, r) => row.map((ch, c) => [r, c, ch]))
+    .filter(([, , ch]) => ch === RULES.blockChar)
+    .map(([r, c]) => [r, c]);
+  const valid = (g) =>
+    validateGridBasic(g, { symmetry, style }) &&
+    countBlocks(g) <= blockBudget.max;
+
+  for (const slotId of targets) {
+    let best = null;
+    const consider = (g, added, removed) => {
+      if (!valid(g)) return;
+      const score = scoreLayout(g);
+      if (!best || score.total > best.score.total) {
+        best = { grid: g, slotId, added, removed, score };
+      }
+    };
+
+    for (const { r, c } of byId.get(slotId).cells) {
+      const placed = blockWithCascade(grid, r, c, { symmetry, style });
+      if (!placed) continue;
+      const { grid: next, added } = placed;
+      if (added.some(([rr, cc]) => keepWhite.has(`${rr},${cc}`))) continue;
+      if (countBlocks(next) <= blockBudget.max) {
+        consider(next, added, []);
+        continue;
+      }
+      // Over budget: move a block group here from elsewhere instead.
+      const moved = new Set(added.map(([rr, cc]) => `${rr},${cc}`));
+      for (const [br, bc] of blocks) {
+        const removed = symmetryOrbit(grid, br, bc, symmetry);
+        if (removed.some(([rr, cc]) => moved.has(`${rr},${cc}`))) continue;
+        const alt = cloneGrid(next);
+        removeBlockSym(alt, br, bc, { symmetry });
+        consider(alt, added, removed);
+      }
+    }
+    if (best) return best;
+  }
+  return null;
+}
+
+/**
+ * Entries of a partial fill that survive a layout repair untouched: the
+ * slot still exists with the same cells, and neither it nor any crossing
+ * was repaired or changed by the repair. These are kept as locked entries
+ * when the solve resumes; everything around the repair is refilled.
+ *
+ * @param {object} opts
+ * - before: string[][] the layout the partial fill was made on
+ * - after: string[][] the repaired layout
+ * - partial: Map<slotId, word> (none when the solve failed before placing)
+ * - stuck: string[] slot IDs the repair targeted
+ * @returns {Map<string, string>} slotId -> word
+ */
+export function survivingEntries({
+  before,
+  after,
+  partial = new Map(),
+  stuck,
+}) {
+  const old = buildSlots(before).byId;
+  const { byId } = buildSlots(after);
+  const sameCells = (a, b) =>
+    a.length === b.length &&
+    a.cells.every(({ r, c }, i) => b.cells[i].r === r && b.cells[i].c === c);
+  const changed = new Set(stuck);
+  for (const [id, slot] of byId) {
+    if (!old.has(id) || !sameCells(old.get(id), slot)) changed.add(id);
+  }
+  const kept = new Map();
+  for (const [id, word] of partial) {
+    const slot = byId.get(id);
+    if (!slot || changed.has(id)) continue;
+    if (slot.crosses.some((cr) => changed.has(cr.otherId))) continue;
+    kept.set(id, word);
+  }
+  return kept;
+}
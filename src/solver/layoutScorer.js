@@ -0,0 +1,177 @@
+// src/solver/layoutScorer.js
+import { RULES } from "../config/rules.js";
+import { isBlock, isWhite, cloneGrid } from "../grid/gridModel.js";
+import { buildSlots } from "../grid/slots.js";
+
+// How much each metric moves the total. Positive rewards, negative penalizes.
+export const LAYOUT_WEIGHTS = {
+  avgEntryLen: 10, // per letter of average entry length
+  wordsOverMax: -1, // per entry above the size's word-count ceiling
+  cheaterSquares: -4, // per block that doesn't change the word count
+  threeLetterRatio: -30, // times the share of 3-letter entries
+  openAreaOver: -2, // per cell of side length beyond MAX_OPEN_SIDE
+  bottlenecks: -3, // per white cell whose removal disconnects the grid
+};
+
+// Largest all-white square side we accept without penalty.
+const MAX_OPEN_SIDE = 4;
+// Word-count ceiling as a share of grid cells (≈78 entries on a 15×15).
+const MAX_WORDS_PER_CELL = 0.35;
+
+/**
+ * Score a block layout. Higher `total` is better. Barred layouts pass their
+ * `bars`; open area and bottlenecks only measure blocks, so they score 0 there.
+ *
+ * @param {string[][]} grid
+ * @param {{ bars?: object }} [opts]
+ * @returns {{
+ *  total: number,
+ *  wordCount: number,
+ *  avgEntryLen: number,
+ *  cheaterSquares: number,
+ *  threeLetterRatio: number,
+ *  largestOpenSquare: number,
+ *  bottlenecks: number
+ * }}
+ */
+export function scoreLayout(grid, { bars } = {}) {
+  const n = grid.length;
+  const { slots } = buildSlots(grid, { bars });
+  const wordCount = slots.length;
+  const letters = slots.reduce((sum, s) => sum + s.length, 0);
+  const avgEntryLen = wordCount ? letters / wordCount : 0;
+  const threeLetterRatio = wordCount
+    ? slots.filter((s) => s.length === 3).length / wordCount
+    : 0;
+  const cheaterSquares = countCheaterSquares(grid);
+  const largestOpenSquare = bars ? 0 : largestWhiteSquare(grid);
+  const bottlenecks = bars ? 0 : countArticulationCells(grid);
+
+  const maxWords = Math.round(n * n * MAX_WORDS_PER_CELL);
+  const W = LAYOUT_WEIGHTS;
+  const total =
+    W.avgEntryLen * avgEntryLen +
+    W.wordsOverMax * Math.max(0, wordCount - maxWords) +
+    W.cheaterSquares * cheaterSquares +
+    W.threeLetterRatio * threeLetterRatio +
+    W.openAreaOver * Math.max(0, largestOpenSquare - MAX_OPEN_SIDE) +
+    W.bottlenecks * bottlenecks;
+
+  return {
+    total: round2(total),
+    wordCount,
+    avgEntryLen: round2(avgEntryLen),
+    cheaterSquares,
+    threeLetterRatio: round2(threeLetterRatio),
+    largestOpenSquare,
+    bottlenecks,
+  };
+}
+
+/** Count word starts (runs of 2+ cells) across and down. */
+function countWords(grid) {
+  const n = grid.length;
+  let count = 0;
+  for (let r = 0; r < n; r++) {
+    for (let c = 0; c < n; c++) {
+      if (!isWhite(grid, r, c)) continue;
+      const startA = c === 0 || isBlock(grid, r, c - 1);
+      const startD = r === 0 || isBlock(grid, r - 1, c);
+      if (startA && c + 1 < n && isWhite(grid, r, c + 1)) count++;
+      if (startD && r + 1 < n && isWhite(grid, r + 1, c)) count++;
+    }
+  }
+  return count;
+}
+
+/** A cheater square is a block whose removal leaves the word count unchanged. */
+function countCheaterSquares(grid) {
+  const n = grid.length;
+  const base = countWords(grid);
+  const g = cloneGrid(grid);
+  let cheaters = 0;
+  for (let r = 0; r < n; r++) {
+    for (let c = 0; c < n; c++) {
+      if (!isBlock(g, r, c)) continue;
+      g[r][c] = RULES.unknownChar;
+      if (countWords(g) === base) cheaters++;
+      g[r][c] = RULES.blockChar;
+    }
+  }
+  return cheaters;
+}
+
+/** Side of the largest all-white square (classic DP). */
+function largestWhiteSquare(grid) {
+  const n = grid.length;
+  const dp = Array.from({ length: n }, () => Array(n).fill(0));
+  let best = 0;
+  for (let r = 0; r < n; r++) {
+    for (let c = 0; c < n; c++) {
+      if (!isWhite(grid, r, c)) continue;
+      dp[r][c] =
+        r === 0 || c === 0
+          ? 1
+          : 1 + Math.min(dp[r - 1][c], dp[r][c - 1], dp[r - 1][c - 1]);
+      best = Math.max(best, dp[r][c]);
+    }
+  }
+  return best;
+}
+
+/** Count articulation cells of the white-cell graph (iterative Tarjan). */
+function countArticulationCells(grid) {
+  const n = grid.length;
+  const id = (r, c) => r * n + c;
+  const disc = new Int32Array(n * n).fill(-1);
+  const low = new Int32Array(n * n);
+  const cut = new Uint8Array(n * n);
+  let time = 0;
+
+  const neighbors = (v) => {
+    const r = Math.floor(v / n);
+    const c = v % n;
+    const out = [];
+    if (r > 0 && isWhite(grid, r - 1, c)) out.push(id(r - 1, c));
+    if (r + 1 < n && isWhite(grid, r + 1, c)) out.push(id(r + 1, c));
+    if (c > 0 && isWhite(grid, r, c - 1)) out.push(id(r, c - 1));
+    if (c + 1 < n && isWhite(grid, r, c + 1)) out.push(id(r, c + 1));
+    return out;
+  };
+
+  for (let r = 0; r < n; r++) {
+    for (let c = 0; c < n; c++) {
+      const root = id(r, c);
+      if (!isWhite(grid, r, c) || disc[root] !== -1) continue;
+
+      let rootChildren = 0;
+      disc[root] = low[root] = time++;
+      const stack = [{ v: root, parent: -1, nbrs: neighbors(root), i: 0 }];
+      while (stack.length) {
+        const top = stack[stack.length - 1];
+        if (top.i < top.nbrs.length) {
+          const w = top.nbrs[top.i++];
+          if (disc[w] === -1) {
+            disc[w] = low[w] = time++;
+            if (top.v === root) rootChildren++;
+            stack.push({ v: w, parent: top.v, nbrs: neighbors(w), i: 0 });
+          } else if (w !== top.parent) {
+            low[top.v] = Math.min(low[top.v], disc[w]);
+          }
+        } else {
+          stack.pop();
+          const p = top.parent;
+          if (p === -1) continue;
+          low[p] = Math.min(low[p], low[top.v]);
+          if (p !== root && low[top.v] >= disc[p]) cut[p] = 1;
+        }
+      }
+      if (rootChildren > 1) cut[root] = 1;
+    }
+  }
+  return cut.reduce((a, b) => a + b, 0);
+}
+
+function round2(x) {
+  return Math.round(x * 100) / 100;
+}
@@ -0,0 +1,102 @@
+// src/solver/patternLibrary.js
+import fs from "fs/promises";
+import path from "path";
+import { DATA_DIR } from "../utils/poolsStore.js";
+import { fromStrings, validateGridBasic } from "../grid/gridModel.js";
+import { buildSlots } from "../grid/slots.js";
+import { RULES } from "../config/rules.js";
+
+export const PATTERNS_DIR = `${DATA_DIR}/patterns`;
+
+/**
+ * American seed patterns live in `${PATTERNS_DIR}/<size>/<symmetry>.json`, each file an
+ * array of { name, tags?, levels?, rows } where `rows` are block rows as
+ * fromStrings() reads them. Patterns that fail validateGridBasic (or have the
+ * wrong size) are skipped with a warning. Block and word counts are computed
+ * here so curators never have to keep them in sync by hand.
+ *
+ * @returns {Promise<Array<{ name:string, tags:string[], levels:number[]|null, rows:string[], blockCount:number, wordCount:number }>>}
+ */
+export async function loadPatternLibrary({
+  size,
+  symmetry = RULES.symmetry,
+  dir = PATTERNS_DIR,
+  logs = false,
+} = {}) {
+  const file = path.join(dir, String(size), `${symmetry}.json`);
+  let raw;
+  try {
+    raw = JSON.parse(await fs.readFile(file, "utf8"));
+  } catch {
+    if (logs) console.log(`[Patterns] No pattern library at ${file}.`);
+    return [];
+  }
+
+  const patterns = [];
+  for (const [i, p] of (Array.isArray(raw) ? raw : []).entries()) {
+    const name = p?.name || `${size}-${symmetry}-${i + 1}`;
+    let grid;
+    try {
+      grid = fromStrings(p.rows || []);
+    } catch (e) {
+      console.warn(`[Patterns] Skipping ${name}: ${e.message}`);
+      continue;
+    }
+    if (grid.length !== size || !validateGridBasic(grid, { symmetry })) {
+      console.warn(
+        `[Patterns] Skipping ${name}: not a valid ${size}×${size} ${symmetry} layout.`
+      );
+      continue;
+    }
+    patterns.push({
+      name,
+      tags: Array.isArray(p.tags) ? p.tags : [],
+      levels: Array.isArray(p.levels) ? p.levels : null,
+      rows: p.rows,
+      blockCount: grid.flat().filter((ch) => ch === RULES.blockChar).length,
+      wordCount: buildSlots(grid).slots.length,
+    });
+  }
+
+  if (logs) {
+    console.log(`[Patterns] Loaded ${patterns.length} patterns from ${file}.`);
+  }
+  return patterns;
+}
+
+/**
+ * Narrow a library to patterns carrying every tag in `tags` and allowed at
+ * `level` (patterns without `levels` suit any level). When nothing matches,
+ * the level is dropped first, then the tags (keeping the level), and only
+ * then is the whole library used, with a warning for each fallback, so
+ * generation never starves but never ignores a filter silently either.
+ */
+export function selectPatterns(patterns, { tags = [], level } = {}) {
+  const tagged = (p) => tags.every((t) => p.tags.includes(t));
+  const suited = (p) =>
+    level === undefined || !p.levels || p.levels.includes(level);
+  const wanted = tags.length > 0 ? `tagged ${tags.join(", ")}` : "";
+
+  const matches = patterns.filter((p) => tagged(p) && suited(p));
+  if (matches.length > 0 || patterns.length === 0) return matches;
+
+  const byTags = patterns.filter(tagged);
+  if (tags.length > 0 && byTags.length > 0) {
+    console.warn(
+      `[Patterns] No pattern ${wanted} suits level ${level}; ignoring the level.`
+    );
+    return byTags;
+  }
+  const byLevel = patterns.filter(suited);
+  if (level !== undefined && byLevel.length > 0) {
+    console.warn(
+      `[Patterns] No pattern is ${wanted}; using those for level ${level}.`
+    );
+    return byLevel;
+  }
+  console.warn(
+    `[Patterns] No pattern ${wanted || `suits level ${level}`}; ` +
+      `using the whole library.`
+  );
+  return patterns;
+}
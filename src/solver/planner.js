@@ -1,22 +1,212 @@
 // src/solver/planner.js
 import fs from "fs/promises";
 import { getDifficultyConfig } from "../config/difficulty.js";
+import {
+  RULES,
+  assertGridSize,
+  assertSymmetry,
+  assertStyle,
+  assertStyleSize,
+  normalizeToken,
+} from "../config/rules.js";
 import { generateInitialLayout } from "./layoutGenerator.js";
 import { solveWithBacktracking } from "./backtracker.js";
-import { toStrings } from "../grid/gridModel.js";
-import { buildSlots } from "../grid/slots.js";
+import { placeRebusTokens } from "./rebus.js";
+import { applyAnnotations, assertAnnotationCells } from "./annotations.js";
+import { prepareTemplate } from "./template.js";
+import { scoreLayout } from "./layoutScorer.js";
+import { loadPatternLibrary } from "./patternLibrary.js";
+import { diagnoseUnfillable } from "./diagnose.js";
+import { findBestThemeSlots } from "./themeSlots.js";
+import { modifyLayout, survivingEntries } from "./layoutRepair.js";
+import { createWordSource } from "./wordSources.js";
+import { openHydrationCache } from "../utils/hydrationCache.js";
+import { loadBlocklist, defaultBlocklist } from "../utils/blocklist.js";
+import {
+  applyBlocklist,
+  restrictIndexesBySource,
+} from "../dictionary/indexes.js";
+import {
+  toStrings,
+  cloneGrid,
+  makeAnnotations,
+  annotationsToJSON,
+  annotatedCells,
+  barsToJSON,
+} from "../grid/gridModel.js";
+import { buildSlots, placeWord } from "../grid/slots.js";
+import { buildNumbering } from "../grid/numbering.js";
+import { randomSeed, deriveSeed } from "../utils/random.js";
 
-// (Helper functions: findBestThemeSlots, modifyLayout, writeArtifacts remain the same)
-// ...
+const ARTIFACTS_DIR = "src/data";
+// A repair isn't worth starting with less search time than this left.
+const MIN_REPAIR_MS = 1000;
+export const GRID_FINAL_PATH = `${ARTIFACTS_DIR}/grid_final.json`;
+
+/**
+ * Persist grid_final.json (grid, answers, numbering, annotations, bars) and
+ * solver_stats.json, in `dir` (default src/data). Fields of `base`, an
+ * earlier grid document (e.g. the one a refill started from), are carried
+ * over unless this result sets them; its runner-up fills are not, since
+ * they belong to the old grid.
+ */
+export async function writeArtifacts({
+  result,
+  grid,
+  size,
+  style,
+  bars,
+  annotations,
+  layoutScores = [],
+  seed,
+  dir = ARTIFACTS_DIR,
+  base = {},
+}) {
+  const ok = !!result?.ok;
+  const assignments = ok
+    ? [...result.assignments].map(([slotId, word]) => ({ slotId, word }))
+    : [];
+  const layer = annotations || makeAnnotations();
+
+  const { alternatives, reason, ...carried } = base;
+  const gridDoc = {
+    ...carried,
+    ok,
+    size,
+    grid: grid ? toStrings(grid) : [],
+    assignments,
+    annotations: annotationsToJSON(layer),
+    seed,
+  };
+  if (style) gridDoc.style = style;
+  if (bars) gridDoc.bars = barsToJSON(bars);
+  if (grid) {
+    const { across, down } = buildNumbering(
+      grid,
+      new Map(assignments.map(({ slotId, word }) => [slotId, word])),
+      layer,
+      bars
+    );
+    gridDoc.numbering = { across, down };
+  }
+  if (!ok) gridDoc.reason = result?.reason || "no_attempt";
+  // Multi-fill runs: the runner-up fills for the same layout, best first.
+  if (result?.fills?.length > 1) {
+    gridDoc.alternatives = result.fills.slice(1).map((f) => ({
+      grid: toStrings(f.grid),
+      assignments: [...f.assignments].map(([slotId, word]) => ({
+        slotId,
+        word,
+      })),
+      fill: f.fill,
+      themeWords: f.themeWords,
+    }));
+  }
+
+  const statsDoc = {
+    ok,
+    reason: result?.reason,
+    details: result?.details,
+    stats: result?.stats,
+    layoutCandidates: layoutScores,
+    seed,
+    writtenAt: new Date().toISOString(),
+  };
+  if (result?.refill) statsDoc.refill = result.refill;
+  if (result?.diagnosis) statsDoc.diagnosis = result.diagnosis;
+  if (result?.repairs) statsDoc.repairs = result.repairs;
+  // Letters the annotations must spell; a refill keeps these cells.
+  if (result?.spells?.length > 0) gridDoc.spells = result.spells;
+  if (result?.theme) {
+    gridDoc.theme = {
+      slotIds: result.theme.slotIds,
+      placed: result.theme.placed,
+    };
+    statsDoc.theme = result.theme;
+  }
+
+  await fs.mkdir(dir, { recursive: true });
+  await fs.writeFile(
+    `${dir}/grid_final.json`,
+    JSON.stringify(gridDoc, null, 2)
+  );
+  await fs.writeFile(
+    `${dir}/solver_stats.json`,
+    JSON.stringify(statsDoc, null, 2)
+  );
+}
+
+/**
+ * Which theme words made it into the fill: those in theme slots and any
+ * that turned up as ordinary fill, plus the ones left out.
+ */
+function themeReport(assignments, themeSlotIds, themeWords) {
+  const wanted = new Set(themeWords);
+  const placed = [...assignments]
+    .filter(([, word]) => wanted.has(word))
+    .map(([slotId, word]) => ({
+      slotId,
+      word,
+      themeSlot: themeSlotIds.includes(slotId),
+    }));
+  const used = new Set(placed.map((p) => p.word));
+  return {
+    slotIds: themeSlotIds,
+    placed,
+    unplaced: themeWords.filter((w) => !used.has(w)),
+  };
+}
+
+/** Slots a failed solve starved on, worst first. */
+function stuckSlots({ details = {}, stats = {} }) {
+  return [
+    ...new Set([
+      ...(details.empties || []),
+      ...(details.stuck || []),
+      ...(stats.starvedAtInit || []),
+    ]),
+  ];
+}
+
+/** Print a diagnoseUnfillable() report. */
+function logDiagnosis({ found, slots, region, note }) {
+  console.log(`   → Diagnosis: ${note}`);
+  if (!found) return;
+  for (const s of slots) {
+    console.log(
+      `      ${s.id} ${s.pattern} (${s.domainSize} candidate${
+        s.domainSize === 1 ? "" : "s"
+      })`
+    );
+  }
+  for (const line of region) console.log(`      ${line}`);
+}
 
 // --- Main Planner Logic ---
 
 export async function planAndSolve({
   size = 12,
+  symmetry = RULES.symmetry,
+  style = RULES.style, // "american" | "british" (unchecked cells) | "barred" (bars, no blocks)
   difficulty = 3,
   logs = true,
   themeWords = [],
+  rebus = [], // [{ token: "CT", row?, col? }] multi-letter cells to place before solving
+  annotations = [], // [{ kind: "circled", cells, spells? }] see applyAnnotations()
+  patternTags = [], // only seed layouts from library patterns with these tags
+  template = null, // user grid + locked words/letters; see prepareTemplate()
   indexes, // This is the crucial dictionary index
+  onProgress, // solver progress plus { attempt, maxAttempts }; see solveWithBacktracking
+  shouldStop = () => false, // true = cancel the current solve, no more attempts
+  seed, // number: replays layouts, shuffling and retries exactly (default: random)
+  fills = 1, // > 1: return up to this many alternative fills of the layout
+  minDistinctEntries = 4, // entries any two returned fills must differ in
+  diagnose = false, // on failure, look for the entries that can't be filled together
+  wordSources, // hydration sources, chained in order; see createWordSource()
+  hydrationCache = {}, // openHydrationCache() options; false = no disk cache
+  blocklist, // per-puzzle { categories, allow, block }; see loadBlocklist()
+  poolSources = null, // only fill from pool words of these sources (null = all)
+  artifactsDir, // where grid_final.json and solver_stats.json go (default src/data)
 }) {
   // --- NEW: Safeguard Check ---
   // Add a check to ensure the indexes object is always provided.
@@ -28,21 +218,149 @@ export async function planAndSolve({
     );
   }
 
+  // A template fixes the layout (and its size); locked entries stay as given.
+  const tpl = template ? prepareTemplate(template) : null;
+  const locked = tpl ? tpl.locked : new Map();
+  if (tpl) {
+    size = tpl.size;
+    style = tpl.style;
+  }
+
+  assertGridSize(size);
+  assertSymmetry(symmetry);
+  assertStyle(style);
+  if (!tpl) assertStyleSize(style, size);
+  assertAnnotationCells(annotations);
+  const {
+    blockBudget,
+    barBudget,
+    layoutSamples,
+    themeSlots,
+    layoutRepairs,
+    repairTimeShare,
+    timeoutMs,
+  } = getDifficultyConfig(difficulty, { size, style });
+
+  // Blocked words never reach the grid, whatever their source. Overrides
+  // mean the prebuilt index has to be re-checked against them, both ways:
+  // newly blocked words go, allowed ones come back.
+  const blocked = blocklist ? loadBlocklist(blocklist) : defaultBlocklist();
+  if (blocklist) indexes = applyBlocklist(indexes, blocked);
+
+  // Theme entries come in symmetric pairs sized to the theme words.
+  themeWords = [...new Set(themeWords.map(normalizeToken))];
+  const blockedThemeWords = themeWords.filter((w) => blocked.has(w));
+  if (blockedThemeWords.length > 0) {
+    console.warn(
+      `[Planner] Dropping blocked theme words: ${blockedThemeWords.join(", ")}`
+    );
+    themeWords = themeWords.filter((w) => !blocked.has(w));
+  }
+
+  // A source filter narrows the fill; theme words stay whatever their source.
+  if (poolSources?.length > 0) {
+    indexes = restrictIndexesBySource(indexes, poolSources, {
+      always: themeWords,
+    });
+    if (logs) console.log(`🔹 Fill from sources: ${poolSources.join(", ")}`);
+  }
+  const themeSymmetry = tpl ? tpl.symmetry : symmetry;
+  const themeSlotsFor = (grid, bars, fixed = locked) =>
+    findBestThemeSlots(buildSlots(grid, { bars }).slots, themeWords, {
+      grid,
+      count: themeSlots,
+      symmetry: themeSymmetry,
+      locked: fixed,
+    });
+
+  const wordSource = createWordSource(wordSources, {
+    cache: hydrationCache && openHydrationCache(hydrationCache),
+  });
+
+  // One seed drives the whole run; it is recorded so the run can be replayed.
+  if (typeof seed !== "number") seed = randomSeed();
+  if (logs) console.log(`🔹 Seed ${seed}`);
+
   const maxAttempts = 5;
   let lastResult = null;
   let currentGrid = null;
+  let currentAnnotations = null;
+  let currentBars;
+
+  // Sample and score layouts once; attempts walk down the ranking.
+  // The seed library holds American patterns; British grids seed from a
+  // lattice and barred grids start all white.
+  const patterns =
+    tpl || style !== "american"
+      ? []
+      : await loadPatternLibrary({ size, symmetry, logs });
+  const { layouts: sampled } = tpl
+    ? {
+        layouts: [
+          {
+            grid: tpl.grid,
+            bars: tpl.bars,
+            score: scoreLayout(tpl.grid, { bars: tpl.bars }),
+          },
+        ],
+      }
+    : generateInitialLayout({
+        size,
+        blockBudget,
+        symmetry,
+        style,
+        barBudget,
+        patterns,
+        tags: patternTags,
+        level: difficulty,
+        samples: layoutSamples,
+        keep: themeWords.length > 0 ? layoutSamples : maxAttempts,
+        logs,
+        seed: deriveSeed(seed, "layout"),
+      });
+  // With theme words, layouts that hold more theme entries go first.
+  const layouts =
+    themeWords.length > 0
+      ? sampled
+          .map((l) => ({
+            ...l,
+            themeFit: themeSlotsFor(l.grid, l.bars).themeSlotIds.length,
+          }))
+          .sort((a, b) => b.themeFit - a.themeFit)
+          .slice(0, maxAttempts)
+      : sampled;
+  const layoutScores = layouts.map((l) => l.score);
 
   for (let attempt = 1; attempt <= maxAttempts; attempt++) {
     console.log(`🔹 Solving Attempt ${attempt}/${maxAttempts}...`);
 
-    const layout = generateInitialLayout({
-      size,
-      blockBudget: getDifficultyConfig(difficulty).blockBudget,
-      logs: false,
+    const layout = layouts[(attempt - 1) % layouts.length];
+    currentGrid = cloneGrid(layout.grid);
+    currentBars = layout.bars; // never mutated while solving
+    if (logs) {
+      console.log(`   → Layout score ${layout.score.total}`, layout.score);
+    }
+
+    const rebusPlacement = placeRebusTokens(currentGrid, indexes, rebus, {
+      bars: currentBars,
     });
-    currentGrid = layout.grid;
+    if (!rebusPlacement.ok) {
+      console.warn(
+        `[Planner] Layout attempt ${attempt} can't hold rebus "${rebusPlacement.failed.token}" (${rebusPlacement.failed.reason}). Retrying...`
+      );
+      continue;
+    }
 
-    const { slots } = buildSlots(currentGrid);
+    const annotated = applyAnnotations(currentGrid, annotations);
+    currentAnnotations = annotated.annotations;
+    if (!annotated.ok) {
+      console.warn(
+        `[Planner] Layout attempt ${attempt} can't hold ${annotated.failed.kind} cells (${annotated.failed.reason}). Retrying...`
+      );
+      continue;
+    }
+
+    const { slots } = buildSlots(currentGrid, { bars: currentBars });
     if (slots.length === 0) {
       console.warn(
         `[Planner] Layout attempt ${attempt} yielded no usable slots. Retrying...`
@@ -50,41 +368,176 @@ export async function planAndSolve({
       continue;
     }
 
-    // This helper function needs to be defined or imported if it's not in this file
-    // const themeSlotIds = findBestThemeSlots(slots, themeWords);
-    const themeSlotIds = slots
-      .sort((a, b) => b.length - a.length)
-      .slice(0, 3)
-      .map((s) => s.id);
+    // A stuck layout gets up to `layoutRepairs` block edits around its
+    // starved entries; each resumed solve keeps the entries the edit left
+    // untouched. User templates are never edited. The solves of one attempt
+    // share its timeoutMs: the first leaves repairTimeShare of it for the
+    // repairs, which split what is left.
+    const repairable = !tpl && layoutRepairs > 0;
+    const deadline = Date.now() + timeoutMs;
+    let preparedGrid = cloneGrid(currentGrid);
+    const repairs = [];
+    let kept = locked;
+    let themeSlotIds;
+    let startGrid;
+    let solveResult;
+    for (;;) {
+      ({ themeSlotIds } = themeSlotsFor(currentGrid, currentBars, kept));
 
-    if (logs) {
+      if (logs) {
+        console.log(
+          `   → Placed ${themeSlotIds.length}/${themeSlots} theme slots` +
+            (themeSlotIds.length > 0 ? `: ${themeSlotIds.join(", ")}` : ".")
+        );
+      }
+
+      startGrid = cloneGrid(currentGrid);
+      const remaining = deadline - Date.now();
+      const firstShare = repairable ? 1 - repairTimeShare : 1;
+      solveResult = await solveWithBacktracking({
+        grid: currentGrid,
+        indexes,
+        difficulty,
+        logs,
+        usedWords: new Set(),
+        themeSlotIds,
+        themeWords,
+        locked: kept,
+        bars: currentBars,
+        onProgress:
+          onProgress &&
+          ((progress) => onProgress({ ...progress, attempt, maxAttempts })),
+        shouldStop,
+        seed: repairs.length
+          ? deriveSeed(seed, "solve", attempt, "repair", repairs.length)
+          : deriveSeed(seed, "solve", attempt),
+        maxFills: fills,
+        minDistinctEntries,
+        wordSource,
+        blocklist: blocked,
+        timeoutMs:
+          repairs.length === 0
+            ? remaining * firstShare
+            : remaining / (layoutRepairs - repairs.length + 1),
+      });
+
+      const retry =
+        !solveResult.ok &&
+        solveResult.reason !== "cancelled" &&
+        repairable &&
+        repairs.length < layoutRepairs &&
+        deadline - Date.now() > MIN_REPAIR_MS;
+      const repair =
+        retry &&
+        modifyLayout({
+          grid: preparedGrid,
+          stuck: stuckSlots(solveResult),
+          symmetry,
+          style,
+          blockBudget,
+          keepWhite: new Set(
+            RULES.annotationKinds.flatMap((kind) =>
+              annotatedCells(currentAnnotations, kind).map(
+                ({ r, c }) => `${r},${c}`
+              )
+            )
+          ),
+        });
+      if (!repair) break;
+
+      kept = survivingEntries({
+        before: preparedGrid,
+        after: repair.grid,
+        partial: solveResult.partial,
+        stuck: [repair.slotId],
+      });
+      repairs.push({
+        slotId: repair.slotId,
+        added: repair.added,
+        removed: repair.removed,
+        kept: kept.size,
+      });
       console.log(
-        `   → Identified ${themeSlotIds.length} potential theme slots.`
+        `   → Repaired layout around ${repair.slotId}: +${repair.added.length}/-${repair.removed.length} blocks, keeping ${kept.size} entries. Resuming...`
       );
+      preparedGrid = repair.grid;
+      currentGrid = cloneGrid(repair.grid);
+      const { byId } = buildSlots(currentGrid, { bars: currentBars });
+      for (const [id, word] of kept) placeWord(currentGrid, byId.get(id), word);
     }
 
-    const solveResult = await solveWithBacktracking({
-      grid: currentGrid,
-      indexes,
-      difficulty,
-      logs,
-      usedWords: new Set(),
-      themeSlotIds,
-      themeWords,
-    });
-
+    solveResult.stats = { ...solveResult.stats, layout: layout.score };
+    if (repairs.length > 0) {
+      solveResult.stats.layout = scoreLayout(preparedGrid, {
+        bars: currentBars,
+      });
+      solveResult.repairs = repairs;
+    }
+    solveResult.seed = seed;
     lastResult = solveResult;
 
     if (solveResult.ok) {
+      solveResult.theme = themeReport(
+        solveResult.assignments,
+        themeSlotIds,
+        themeWords
+      );
+      if (logs && themeWords.length > 0) {
+        console.log(
+          `   → Theme words placed: ${
+            solveResult.theme.placed.map((p) => p.word).join(", ") || "none"
+          }`
+        );
+      }
+      solveResult.rebus = rebusPlacement.placed;
+      solveResult.annotations = annotationsToJSON(currentAnnotations);
+      solveResult.spells = annotated.spelled;
+      if (currentBars) solveResult.bars = barsToJSON(currentBars);
       console.log(`   → Success on attempt ${attempt}!`);
-      // await writeArtifacts({ result: solveResult, grid: solveResult.grid });
+      await writeArtifacts({
+        result: solveResult,
+        grid: solveResult.grid,
+        size,
+        style,
+        bars: currentBars,
+        annotations: currentAnnotations,
+        layoutScores,
+        seed,
+        dir: artifactsDir,
+      });
       return solveResult;
     }
 
     console.log(`   → Attempt ${attempt} failed: ${solveResult.reason}.`);
+    if (solveResult.reason === "cancelled") break;
+
+    if (diagnose) {
+      solveResult.diagnosis = diagnoseUnfillable({
+        grid: startGrid,
+        indexes,
+        difficulty,
+        bars: currentBars,
+        themeSlotIds,
+        themeWords,
+        locked: kept,
+      });
+      logDiagnosis(solveResult.diagnosis);
+    }
   }
 
-  console.error("❌ All solving attempts failed.");
-  // await writeArtifacts({ result: lastResult, grid: currentGrid });
+  if (lastResult?.reason !== "cancelled") {
+    console.error("❌ All solving attempts failed.");
+  }
+  await writeArtifacts({
+    result: lastResult,
+    grid: currentGrid,
+    size,
+    style,
+    bars: currentBars,
+    annotations: currentAnnotations,
+    layoutScores,
+    seed,
+    dir: artifactsDir,
+  });
   return lastResult;
 }
@@ -9,7 +9,10 @@ import {
 
 /**
  * Try to place `word` into `slot`, then forward-check (recompute domains for crossings).
- * If any crossing slot's domain becomes empty, revert and return { ok:false }.
+ * With `propagation: "ac3"` the pruning then spreads over the whole crossing
+ * graph (see propagateArcConsistency). If any slot's domain becomes empty,
+ * revert and return { ok:false }; if `shouldStop()` turns true mid-way,
+ * revert and return { ok:false, reason:"cancelled" }.
  *
  * @returns {
  * ok: boolean,
@@ -26,6 +29,11 @@ export function tryPlaceAndPropagate({
   indexes,
   usedWords = new Set(),
   enforceUniqueAnswers = true,
+  assigned = new Set(), // slot IDs (or a Map keyed by them) already filled
+  propagation = "forward", // "forward" | "ac3"
+  shouldStop = () => false,
+  themeSlotIds = [], // these slots' domains only ever hold theme words
+  themeWords = [],
 }) {
   const W = String(word || "").toUpperCase();
 
@@ -40,9 +48,9 @@ export function tryPlaceAndPropagate({
 
   // 2) Update usedWords and enforce uniqueness if required.
   usedWords.add(W);
-  if (enforceUniqueAnswers) {
-    removeWordFromAllDomains(domains, W);
-  }
+  const shrunk = enforceUniqueAnswers
+    ? removeWordFromAllDomains(domains, W)
+    : [];
 
   // 3) Recompute domains for crossing neighbors (forward-check).
   const { emptied, affected } = recomputeAfterPlacement({
@@ -52,14 +60,27 @@ export function tryPlaceAndPropagate({
     indexes,
     usedWords,
     domains,
+    assigned,
+    themeSlotIds,
+    themeWords,
   });
 
-  if (emptied.length > 0) {
-    // A crossing slot's domain was wiped out. This is a dead end.
-    // Revert everything and report failure.
+  const revert = () => {
     undoChanges(grid, changes);
     restoreDomainsSnapshot(domains, domainsSnapshot);
     usedWords.delete(W);
+  };
+
+  // Slots that only had this word left are wiped out too, crossing or not.
+  for (const id of shrunk) {
+    if (id === slot.id || assigned.has(id) || emptied.includes(id)) continue;
+    if (domains.get(id).length === 0) emptied.push(id);
+  }
+
+  if (emptied.length > 0) {
+    // A slot's domain was wiped out. This is a dead end.
+    // Revert everything and report failure.
+    revert();
     return {
       ok: false,
       reason: "forwardCheckEmptied",
@@ -67,6 +88,37 @@ export function tryPlaceAndPropagate({
     };
   }
 
+  // 4) Spread the pruning transitively from every slot that just shrank.
+  let supportSlots = [];
+  if (propagation === "ac3") {
+    const ac = propagateArcConsistency({
+      grid,
+      domains,
+      slotsById,
+      seeds: [...affected, ...shrunk],
+      isAssigned: (id) => id === slot.id || assigned.has(id),
+      shouldStop,
+    });
+    if (ac.stopped) {
+      revert();
+      return { ok: false, reason: "cancelled" };
+    }
+    if (ac.emptied.length > 0) {
+      revert();
+      return {
+        ok: false,
+        reason: "arcConsistencyEmptied",
+        details: {
+          emptied: ac.emptied,
+          pruned: ac.pruned,
+          supports: ac.supports,
+        },
+      };
+    }
+    affected.push(...ac.pruned.filter((id) => !affected.includes(id)));
+    supportSlots = ac.supports;
+  }
+
   // Success! Return a record of the changes so we can undo them later if needed.
   const record = {
     slotId: slot.id,
@@ -74,6 +126,7 @@ export function tryPlaceAndPropagate({
     gridChanges: changes,
     domainsSnapshot,
     affectedSlots: affected,
+    supportSlots, // AC-3 only: slots whose domains drove the pruning
   };
 
   return { ok: true, record };
@@ -100,3 +153,105 @@ export function undoPlacement({
   // 3) Remove the word from the set of used words.
   usedWords.delete(record.word);
 }
+
+/**
+ * AC-3 over the crossing graph from buildSlots(): drop every word whose
+ * letter at a crossing matches no word left in the crossing slot's domain,
+ * and re-check the neighbours of each slot that shrinks until nothing
+ * changes. Assigned slots are left alone; their letters are already in the
+ * grid, so their crossings' domains respect them.
+ *
+ * Domains are edited in place, so a snapshot taken beforehand (as
+ * tryPlaceAndPropagate does) undoes everything.
+ *
+ * @param {object} opts
+ * - seeds: slot IDs whose domains just changed (default: every slot)
+ * - isAssigned: (slotId) => boolean
+ * - shouldStop: () => boolean, checked before each arc; when it turns true
+ *   the pass ends early with `stopped: true` and the domains half-pruned
+ * @returns {{ emptied: string[], pruned: string[], supports: string[], stopped?: boolean }}
+ *   `supports` lists the slots whose domains some pruning was checked against.
+ */
+export function propagateArcConsistency({
+  grid,
+  domains,
+  slotsById,
+  seeds,
+  isAssigned = () => false,
+  shouldStop = () => false,
+}) {
+  const active = (id) => domains.has(id) && !isAssigned(id);
+  const readers = new Map();
+  const readerFor = (slot) => {
+    if (!readers.has(slot.id)) readers.set(slot.id, tokenReader(grid, slot));
+    return readers.get(slot.id);
+  };
+
+  // Arcs are "x|y": revise x against y.
+  const queue = [];
+  const queued = new Set();
+  const enqueueNeighborsOf = (yId, exceptId) => {
+    for (const cr of slotsById.get(yId)?.crosses || []) {
+      const xId = cr.otherId;
+      if (xId === exceptId || !active(xId)) continue;
+      const key = `${xId}|${yId}`;
+      if (queued.has(key)) continue;
+      queued.add(key);
+      queue.push({ xId, yId, atX: cr.atOther, atY: cr.atThis });
+    }
+  };
+  for (const id of seeds || slotsById.keys()) {
+    if (active(id)) enqueueNeighborsOf(id);
+  }
+
+  const pruned = new Set();
+  const supports = new Set();
+  let head = 0;
+  while (head < queue.length) {
+    if (shouldStop()) {
+      return {
+        emptied: [],
+        pruned: [...pruned],
+        supports: [...supports],
+        stopped: true,
+      };
+    }
+    const { xId, yId, atX, atY } = queue[head++];
+    queued.delete(`${xId}|${yId}`);
+
+    const readY = readerFor(slotsById.get(yId));
+    const supported = new Set();
+    for (const w of domains.get(yId)) supported.add(readY(w, atY));
+
+    const readX = readerFor(slotsById.get(xId));
+    const before = domains.get(xId);
+    const after = before.filter((w) => supported.has(readX(w, atX)));
+    if (after.length === before.length) continue;
+
+    domains.set(xId, after);
+    pruned.add(xId);
+    supports.add(yId);
+    if (after.length === 0) {
+      return { emptied: [xId], pruned: [...pruned], supports: [...supports] };
+    }
+    enqueueNeighborsOf(xId, yId);
+  }
+
+  return { emptied: [], pruned: [...pruned], supports: [...supports] };
+}
+
+/**
+ * (word, cellIndex) -> the token that word puts in that cell of `slot`.
+ * Rebus cells take as many letters as the token they already hold.
+ */
+function tokenReader(grid, slot) {
+  const widths = slot.cells.map(({ r, c }) => grid[r][c].length);
+  if (widths.every((w) => w === 1)) return (word, i) => word[i];
+  const offsets = [];
+  let o = 0;
+  for (const w of widths) {
+    offsets.push(o);
+    o += w;
+  }
+  return (word, i) => word.slice(offsets[i], offsets[i] + widths[i]);
+}
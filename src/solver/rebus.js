@@ -0,0 +1,90 @@
+// src/solver/rebus.js
+import {
+  RULES,
+  isValidToken,
+  normalizeToken,
+  patternFromCells,
+} from "../config/rules.js";
+import { placeLetter } from "../grid/gridModel.js";
+import { buildSlots } from "../grid/slots.js";
+import { candidatesForPattern } from "../dictionary/indexes.js";
+
+/**
+ * Place designated rebus tokens into a layout before solving.
+ * Each spec is { token, row?, col? }. With coordinates the token goes exactly
+ * there; without, the checked cell whose across and down entries keep the
+ * most candidates is chosen. The solver then treats the token as a fixed
+ * cell, so both crossing entries must contain it.
+ *
+ * @param {string[][]} grid  mutated in place
+ * @param {object} indexes   from buildTieredIndexes()
+ * @param {Array<{token:string,row?:number,col?:number}>} rebus
+ * @param {{ bars?: object }} [opts]  barred grids pass their bars
+ * @returns {{ ok: boolean, placed: Array<{token:string,row:number,col:number}>, failed?: object }}
+ */
+export function placeRebusTokens(grid, indexes, rebus = [], { bars } = {}) {
+  const placed = [];
+  for (const spec of rebus) {
+    const token = normalizeToken(spec.token);
+    if (
+      !isValidToken(token) ||
+      token.length < 2 ||
+      token.length > RULES.maxRebusLen
+    ) {
+      return { ok: false, placed, failed: { ...spec, reason: "bad_token" } };
+    }
+
+    const hasCoords = Number.isInteger(spec.row) && Number.isInteger(spec.col);
+    const cell = hasCoords
+      ? { r: spec.row, c: spec.col }
+      : chooseRebusCell(grid, indexes, token, { bars });
+    if (!cell) {
+      return { ok: false, placed, failed: { ...spec, reason: "no_cell" } };
+    }
+    // placeLetter rejects blocks and out-of-bounds cells
+    if (!placeLetter(grid, cell.r, cell.c, token)) {
+      return { ok: false, placed, failed: { ...spec, reason: "cell_blocked" } };
+    }
+    placed.push({ token, row: cell.r, col: cell.c });
+  }
+  return { ok: true, placed };
+}
+
+/**
+ * Pick the empty, fully checked cell where `token` leaves the most
+ * candidates for the weaker of its two crossing entries.
+ * @returns {{r:number,c:number,score:number}|null}
+ */
+export function chooseRebusCell(grid, indexes, token, { bars } = {}) {
+  const { across, down } = buildSlots(grid, { bars });
+
+  const downAt = new Map(); // "r,c" -> { slot, idx }
+  for (const slot of down) {
+    slot.cells.forEach(({ r, c }, idx) =>
+      downAt.set(`${r},${c}`, { slot, idx })
+    );
+  }
+
+  let best = null;
+  for (const slot of across) {
+    slot.cells.forEach(({ r, c }, idx) => {
+      if (grid[r][c] !== RULES.unknownChar) return;
+      const hit = downAt.get(`${r},${c}`);
+      if (!hit) return; // unchecked cell: only one entry would use the token
+
+      const score = Math.min(
+        countWithToken(grid, indexes, slot, idx, token),
+        countWithToken(grid, indexes, hit.slot, hit.idx, token)
+      );
+      if (score > 0 && (!best || score > best.score)) best = { r, c, score };
+    });
+  }
+  return best;
+}
+
+function countWithToken(grid, indexes, slot, idx, token) {
+  const cells = slot.cells.map(({ r, c }) => grid[r][c]);
+  cells[idx] = token;
+  return candidatesForPattern(indexes, slot.length, patternFromCells(cells))
+    .length;
+}
@@ -0,0 +1,160 @@
+// src/solver/refill.js
+import fs from "fs/promises";
+import { fromStrings, clearCell, barsFromJSON } from "../grid/gridModel.js";
+import { buildSlots } from "../grid/slots.js";
+import { solveWithBacktracking } from "./backtracker.js";
+import { createWordSource } from "./wordSources.js";
+import { openHydrationCache } from "../utils/hydrationCache.js";
+import { loadBlocklist } from "../utils/blocklist.js";
+import {
+  restrictIndexesBySource,
+  applyBlocklist,
+} from "../dictionary/indexes.js";
+
+// Solver reasons that mean the search ran out of options, not out of budget.
+const EXHAUSTED = ["dead_end", "unsatisfiable_initial_domains"];
+
+/**
+ * Refill part of an already-solved grid. Every slot named in `slotIds`, and
+ * every slot through a cell in `cells`, is cleared and re-solved; all other
+ * entries stay locked. A cell is only emptied when every entry through it
+ * is cleared, rebus cells keep their token, and annotated cells that
+ * spell a hidden word keep their letter.
+ *
+ * @param {object} opts
+ * - gridDoc: a solved grid_final.json document
+ * - slotIds: string[] e.g. ["A_0_0", "D_0_3"]
+ * - cells: Array<[r, c]>
+ * - indexes: from buildTieredIndexes()
+ * - difficulty, seed, logs: as for solveWithBacktracking()
+ * - wordSources, hydrationCache, blocklist, poolSources: as for planAndSolve()
+ * - keepOldWords: let cleared slots take their old words again (default false)
+ * - annotations: the puzzle's annotation specs; only read for documents
+ *   written before grid_final.json recorded `spells`, where every annotated
+ *   cell of a kind with a `spells` spec is kept
+ * @returns {Promise<object>} the solver result plus `refill: { cleared,
+ *   changes: [{ slotId, from, to }] }`; reason "no_refill" when no fill of
+ *   the cleared slots exists under the current dictionary
+ */
+export async function refillRegion({
+  gridDoc,
+  slotIds = [],
+  cells = [],
+  indexes,
+  difficulty = 3,
+  seed,
+  logs = false,
+  keepOldWords = false,
+  wordSources,
+  hydrationCache = {},
+  blocklist,
+  poolSources = null,
+  annotations = [],
+}) {
+  if (!gridDoc?.ok || !Array.isArray(gridDoc.grid)) {
+    throw new Error("[Refill] The grid document is not a solved grid.");
+  }
+  const grid = fromStrings(gridDoc.grid);
+  const bars = gridDoc.bars ? barsFromJSON(gridDoc.bars) : undefined;
+  const { slots, byId } = buildSlots(grid, { bars });
+  const words = new Map(
+    (gridDoc.assignments || []).map(({ slotId, word }) => [slotId, word])
+  );
+
+  const cleared = new Set();
+  for (const id of slotIds) {
+    if (!byId.has(id)) throw new Error(`[Refill] No slot ${id} in the grid.`);
+    cleared.add(id);
+  }
+  const cellKeys = new Set(cells.map(([r, c]) => `${r},${c}`));
+  for (const slot of slots) {
+    if (slot.cells.some(({ r, c }) => cellKeys.has(`${r},${c}`))) {
+      cleared.add(slot.id);
+    }
+  }
+  if (cleared.size === 0) {
+    throw new Error("[Refill] Nothing to clear: give slot IDs or cells.");
+  }
+
+  // Cells shared with a kept entry hold that entry's letter.
+  const kept = slots.map((s) => s.id).filter((id) => !cleared.has(id));
+  const keptCells = new Set(
+    kept.flatMap((id) => byId.get(id).cells.map(({ r, c }) => `${r},${c}`))
+  );
+  for (const [r, c] of spelledCells(gridDoc, annotations)) {
+    keptCells.add(`${r},${c}`);
+  }
+  for (const id of cleared) {
+    for (const { r, c } of byId.get(id).cells) {
+      if (!keptCells.has(`${r},${c}`) && grid[r][c].length === 1) {
+        clearCell(grid, r, c);
+      }
+    }
+  }
+
+  const locked = new Map();
+  for (const id of kept) {
+    if (!words.has(id)) throw new Error(`[Refill] No answer for ${id}.`);
+    locked.set(id, words.get(id));
+  }
+  // The cleared words were disliked; don't hand them straight back.
+  const usedWords = new Set(
+    keepOldWords ? [] : [...cleared].map((id) => words.get(id))
+  );
+
+  if (logs) {
+    console.log(
+      `[Refill] Clearing ${cleared.size} entries: ${[...cleared].join(", ")}`
+    );
+  }
+
+  // As in planAndSolve(): per-puzzle overrides mean the prebuilt index has
+  // to be re-checked, or a newly blocked pool word could be refilled (and an
+  // allowed one never could).
+  const blocked = blocklist && loadBlocklist(blocklist);
+  let fillIndexes = blocked ? applyBlocklist(indexes, blocked) : indexes;
+  if (poolSources?.length > 0) {
+    fillIndexes = restrictIndexesBySource(fillIndexes, poolSources);
+  }
+
+  const result = await solveWithBacktracking({
+    grid,
+    indexes: fillIndexes,
+    difficulty,
+    logs,
+    usedWords,
+    locked,
+    bars,
+    seed,
+    wordSource: createWordSource(wordSources, {
+      cache: hydrationCache && openHydrationCache(hydrationCache),
+    }),
+    blocklist: blocked,
+  });
+
+  const changes = result.ok
+    ? [...cleared].map((slotId) => ({
+        slotId,
+        from: words.get(slotId),
+        to: result.assignments.get(slotId),
+      }))
+    : [];
+  result.refill = { cleared: [...cleared], changes };
+  if (!result.ok && EXHAUSTED.includes(result.reason)) {
+    result.details = { ...result.details, solverReason: result.reason };
+    result.reason = "no_refill";
+  }
+  return result;
+}
+
+/** Cells whose letters spell an annotation's hidden word, as [r, c]. */
+function spelledCells(gridDoc, specs) {
+  if (gridDoc.spells) return gridDoc.spells.flatMap((s) => s.cells);
+  const kinds = new Set(specs.filter((s) => s.spells).map((s) => s.kind));
+  return [...kinds].flatMap((kind) => gridDoc.annotations?.[kind] || []);
+}
+
+/** Read a grid_final.json document. */
+export async function readGridDoc(p) {
+  return JSON.parse(await fs.readFile(p, "utf8"));
+}
@@ -0,0 +1,51 @@
+// src/solver/solveJob.js
+import { Worker } from "worker_threads";
+
+const WORKER_URL = new URL("./solverWorker.js", import.meta.url);
+
+/**
+ * Run planAndSolve() in a worker thread so the caller's event loop stays
+ * free. Progress arrives through `onProgress` (solver steps, backtracks,
+ * backjumps, depth, filled/total slots, the partial grid as strings, and
+ * the attempt number); cancel() stops the search, and the result then
+ * comes back with reason "cancelled". The cancel flag lives in shared
+ * memory, so the worker sees it even in the middle of a long propagation
+ * step without waiting for its event loop.
+ *
+ * @param {object} options planAndSolve() options; `indexes` is optional (the
+ *   worker builds them from pools.json) and callbacks are not allowed
+ * @param {{ onProgress?: (progress: object) => void }} [hooks]
+ * @returns {{ result: Promise<object>, cancel: () => void, progress: () => object|null }}
+ */
+export function startSolveJob(options = {}, { onProgress } = {}) {
+  const cancelled = new Int32Array(new SharedArrayBuffer(4));
+  const worker = new Worker(WORKER_URL, { workerData: { cancelled } });
+  let last = null;
+
+  const result = new Promise((resolve, reject) => {
+    worker.on("message", (msg) => {
+      if (msg.type === "progress") {
+        last = msg.progress;
+        onProgress?.(msg.progress);
+      } else if (msg.type === "done") {
+        resolve(msg.result);
+        worker.terminate();
+      } else if (msg.type === "error") {
+        reject(new Error(`[SolveJob] ${msg.message}`));
+        worker.terminate();
+      }
+    });
+    worker.on("error", reject);
+    worker.on("exit", (code) => {
+      reject(new Error(`[SolveJob] Worker exited early (code ${code}).`));
+    });
+  });
+
+  worker.postMessage({ type: "solve", options });
+
+  return {
+    result,
+    cancel: () => Atomics.store(cancelled, 0, 1),
+    progress: () => last,
+  };
+}
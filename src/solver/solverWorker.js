@@ -0,0 +1,35 @@
+// src/solver/solverWorker.js
+// Worker-thread entry for startSolveJob() (see solveJob.js). Messages:
+//   in:  { type: "solve", options }  planAndSolve() options, minus callbacks
+//   workerData: { cancelled }         Int32Array on shared memory; 1 = cancel
+//   out: { type: "progress", progress }
+//        { type: "done", result }
+//        { type: "error", message }
+import { parentPort, workerData } from "worker_threads";
+import { planAndSolve } from "./planner.js";
+import { buildTieredIndexes } from "../dictionary/indexes.js";
+import { loadPoolsSafe } from "../utils/poolsStore.js";
+
+const isCancelled = () => Atomics.load(workerData.cancelled, 0) === 1;
+
+parentPort.on("message", async (msg) => {
+  if (msg?.type !== "solve") return;
+
+  try {
+    const options = { ...msg.options };
+    // Build the dictionary here unless the caller sent one along.
+    if (!options.indexes) {
+      options.indexes = buildTieredIndexes(await loadPoolsSafe());
+    }
+    const result = await planAndSolve({
+      ...options,
+      onProgress: (progress) => {
+        parentPort.postMessage({ type: "progress", progress });
+      },
+      shouldStop: isCancelled,
+    });
+    parentPort.postMessage({ type: "done", result });
+  } catch (e) {
+    parentPort.postMessage({ type: "error", message: e.message });
+  }
+});
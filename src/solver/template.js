@@ -0,0 +1,97 @@
+// src/solver/template.js
+import fs from "fs/promises";
+import {
+  RULES,
+  normalizeToken,
+  assertSymmetry,
+  assertStyle,
+} from "../config/rules.js";
+import {
+  fromStrings,
+  placeLetter,
+  validateGridBasic,
+  barsFromJSON,
+} from "../grid/gridModel.js";
+import { buildSlots, fitsWord, placeWord } from "../grid/slots.js";
+
+/**
+ * Template input for solving a constructor-supplied grid:
+ * {
+ *   grid: string[],        // rows as fromStrings() reads them: "." block,
+ *                          // "_" open, letters are locked, "{CT}" is a rebus
+ *   symmetry?: string,     // checked by validateGridBasic (default "none")
+ *   style?: string,        // "american" (default), "british" or "barred"
+ *   bars?: { right: [[r,c],...], bottom: [[r,c],...] }, // barred grids only;
+ *                          // style defaults to "barred" when present
+ *   entries?: Array<{ row, col, dir: "across"|"down", word }>, // locked words
+ *   letters?: Array<{ row, col, letter }>                       // locked letters
+ * }
+ *
+ * Returns the grid with every lock written in, plus the locked assignments
+ * (slotId -> word) the backtracker must keep. Throws one Error listing every
+ * inconsistency found.
+ *
+ * @returns {{ grid: string[][], size: number, symmetry: string, style: string, bars?: object, locked: Map<string,string> }}
+ */
+export function prepareTemplate(template = {}) {
+  const errors = [];
+  const symmetry = template.symmetry || "none";
+  const bars = template.bars ? barsFromJSON(template.bars) : undefined;
+  const style = template.style || (bars ? "barred" : RULES.style);
+  assertSymmetry(symmetry);
+  assertStyle(style);
+
+  let grid;
+  try {
+    grid = fromStrings(template.grid || []);
+  } catch (e) {
+    throw new Error(`[Template] ${e.message}`);
+  }
+
+  if (!validateGridBasic(grid, { symmetry, style, bars })) {
+    errors.push(
+      `layout is not a legal ${symmetry} ${style} grid (symmetry, ${RULES.minEntryLen}+ letter entries, checked letters, connectivity)`
+    );
+  }
+
+  for (const { row, col, letter } of template.letters || []) {
+    const ch = normalizeToken(letter);
+    const prev = grid[row]?.[col];
+    if (prev === ch) continue;
+    if (prev !== RULES.unknownChar || !placeLetter(grid, row, col, ch)) {
+      errors.push(`letter ${ch} at (${row},${col}) conflicts with "${prev}"`);
+    }
+  }
+
+  const { byId } = buildSlots(grid, { bars });
+  const locked = new Map();
+  const lockedWords = new Set();
+  for (const { row, col, dir, word } of template.entries || []) {
+    const id = `${dir === "down" ? "D" : "A"}_${row}_${col}`;
+    const w = normalizeToken(word);
+    const slot = byId.get(id);
+    if (!slot) {
+      errors.push(`no ${dir} entry starts at (${row},${col}) for ${w}`);
+    } else if (locked.has(id)) {
+      errors.push(`${id} is locked twice (${locked.get(id)}, ${w})`);
+    } else if (lockedWords.has(w)) {
+      errors.push(`${w} is locked in more than one entry`);
+    } else if (!fitsWord(grid, slot, w) || !placeWord(grid, slot, w).ok) {
+      errors.push(`${w} does not fit ${id} (length or crossing letters)`);
+    } else {
+      locked.set(id, w);
+      lockedWords.add(w);
+    }
+  }
+
+  if (errors.length > 0) {
+    throw new Error(`[Template] Invalid template:\n - ${errors.join("\n - ")}`);
+  }
+
+  return { grid, size: grid.length, symmetry, style, bars, locked };
+}
+
+/** Read a template JSON file (see prepareTemplate for the format). */
+export async function readTemplateFile(p) {
+  return JSON.parse(await fs.readFile(p, "utf8"));
+}
@@ -0,0 +1,88 @@
+// src/solver/themeSlots.js
+import { RULES } from "../config/rules.js";
+import { symmetryOrbit } from "../grid/gridModel.js";
+import { fitsWord } from "../grid/slots.js";
+
+/**
+ * Slots grouped with their symmetric partners: each group holds a slot and
+ * every slot its cells map onto under `symmetry` (one slot if it maps onto
+ * itself or the mode is "none", two for a pair, up to four for four-way).
+ */
+export function symmetricSlotGroups(grid, slots, symmetry = RULES.symmetry) {
+  const key = ({ r, c }) => `${r},${c}`;
+  const groupOf = new Map();
+  const groups = [];
+  for (const slot of slots) {
+    if (groupOf.has(slot.id)) continue;
+    const first = slot.cells[0];
+    const last = slot.cells[slot.length - 1];
+    const images = new Set(
+      [
+        ...symmetryOrbit(grid, first.r, first.c, symmetry),
+        ...symmetryOrbit(grid, last.r, last.c, symmetry),
+      ].map(([r, c]) => `${r},${c}`)
+    );
+    const group = slots.filter(
+      (s) =>
+        !groupOf.has(s.id) &&
+        s.length === slot.length &&
+        images.has(key(s.cells[0])) &&
+        images.has(key(s.cells[s.length - 1]))
+    );
+    for (const s of group) groupOf.set(s.id, group);
+    groups.push(group);
+  }
+  return groups;
+}
+
+/**
+ * Choose theme slots: up to `count` slots, taken in whole symmetric groups
+ * (longest first), where every slot of a group gets its own theme word that
+ * fits it. Locked slots are never themed.
+ *
+ * @param {object[]} slots  from buildSlots()
+ * @param {string[]} themeWords
+ * @param {object} opts
+ * - grid: string[][] (rebus tokens and locked letters count when fitting)
+ * - count: number of theme entries wanted (difficulty `themeSlots`)
+ * - symmetry: one of RULES.symmetryModes
+ * - locked: Map<slotId, word>
+ * @returns {{ themeSlotIds: string[], fits: Object<string, number> }}
+ *   `fits` counts the theme words that fit each chosen slot
+ */
+export function findBestThemeSlots(
+  slots,
+  themeWords,
+  { grid, count = 3, symmetry = RULES.symmetry, locked = new Map() } = {}
+) {
+  const themeSlotIds = [];
+  const fits = {};
+  if (themeWords.length === 0 || count <= 0) return { themeSlotIds, fits };
+
+  const fitting = (slot) => themeWords.filter((w) => fitsWord(grid, slot, w));
+  const groups = symmetricSlotGroups(grid, slots, symmetry)
+    .filter((g) => g.every((s) => !locked.has(s.id)))
+    .sort((a, b) => b[0].length - a[0].length || a.length - b.length);
+
+  const claimed = new Set();
+  for (const group of groups) {
+    if (themeSlotIds.length + group.length > count) continue;
+    // Each slot of the group needs a fitting theme word of its own.
+    const picks = [];
+    for (const slot of group) {
+      const options = fitting(slot);
+      const pick = options.find((w) => !claimed.has(w) && !picks.includes(w));
+      if (!pick) break;
+      picks.push(pick);
+      fits[slot.id] = options.length;
+    }
+    if (picks.length < group.length) {
+      for (const slot of group) delete fits[slot.id];
+      continue;
+    }
+    picks.forEach((w) => claimed.add(w));
+    themeSlotIds.push(...group.map((s) => s.id));
+    if (themeSlotIds.length === count) break;
+  }
+  return { themeSlotIds, fits };
+}
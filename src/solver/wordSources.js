@@ -0,0 +1,191 @@
+// src/solver/wordSources.js
+// Word sources the hydrator asks for more words. A source is
+//   { name: string, fetchByPattern(pattern, { max }) => Promise<string[]> }
+// where `pattern` uses "?" for unknown letters (e.g. "A?P??") and results
+// are upper-case words of exactly that length. A source may also offer
+// originOf(word), naming the source a word really came from (see
+// chainSources); pools.json records it as the word's provenance. Sources
+// that buffer writes (cachedSource) offer flush(), called once per solve.
+import fs from "fs/promises";
+import path from "path";
+import { parseWordList, normalizeToken } from "../utils/poolsStore.js";
+
+const OK = /^[A-Z0-9_]+$/;
+
+/** Does `word` fit a "?"-wildcard pattern? */
+function matchesPattern(word, pattern) {
+  if (word.length !== pattern.length) return false;
+  for (let i = 0; i < pattern.length; i++) {
+    if (pattern[i] !== "?" && pattern[i] !== word[i]) return false;
+  }
+  return true;
+}
+
+/** The live OneLook API. node-fetch is only loaded on first use. */
+export function oneLookSource() {
+  return {
+    name: "onelook",
+    remote: true, // worth caching on disk
+    async fetchByPattern(pattern, { max = 200 } = {}) {
+      const { fetchOneLookByPattern } = await import("./onelook.js");
+      return fetchOneLookByPattern(pattern, { max });
+    },
+  };
+}
+
+/**
+ * Words from a local list: one file, or every .txt file in a directory, in
+ * any format parseWordList() reads. The list is read once, on first use.
+ */
+export function localSource({ path: listPath }) {
+  let words = null;
+  const load = async () => {
+    const stat = await fs.stat(listPath);
+    const files = stat.isDirectory()
+      ? (await fs.readdir(listPath))
+          .filter((f) => f.endsWith(".txt"))
+          .sort()
+          .map((f) => path.join(listPath, f))
+      : [listPath];
+    const all = new Set();
+    for (const file of files) {
+      for (const item of parseWordList(await fs.readFile(file, "utf8"))) {
+        const w = normalizeToken(typeof item === "string" ? item : item.word);
+        if (OK.test(w)) all.add(w);
+      }
+    }
+    return [...all].sort();
+  };
+  return {
+    name: `local:${listPath}`,
+    async fetchByPattern(pattern, { max = 200 } = {}) {
+      words ??= await load();
+      return words.filter((w) => matchesPattern(w, pattern)).slice(0, max);
+    },
+  };
+}
+
+/**
+ * Recorded responses standing in for a live source, e.g. for offline runs
+ * and CI. The fixture file maps patterns to word lists:
+ *   { "A?P??": ["AMPED", "APPLE"], ... }
+ * Unrecorded patterns return no words, unless `recordFrom` names a source
+ * to ask instead; its answer is then saved to the fixture file.
+ */
+export function fixtureSource({ path: fixturePath, recordFrom } = {}) {
+  let fixtures = null;
+  const load = async () => {
+    try {
+      return JSON.parse(await fs.readFile(fixturePath, "utf8")) || {};
+    } catch (e) {
+      if (e.code === "ENOENT") return {};
+      throw e;
+    }
+  };
+  return {
+    name: `fixture:${fixturePath}`,
+    async fetchByPattern(pattern, { max = 200 } = {}) {
+      fixtures ??= await load();
+      if (!fixtures[pattern] && recordFrom) {
+        fixtures[pattern] = await recordFrom.fetchByPattern(pattern, { max });
+        await fs.writeFile(fixturePath, JSON.stringify(fixtures, null, 2));
+      }
+      return (fixtures[pattern] || []).slice(0, max);
+    },
+  };
+}
+
+/**
+ * Put a word source behind a hydration cache (utils/hydrationCache.js):
+ * cached answers, "nothing" included, are served without asking the
+ * source; fresh answers are stored. Errors are not cached. flush() writes
+ * the new answers to disk.
+ */
+export function cachedSource(source, cache) {
+  return {
+    ...source,
+    flush: () => cache.save(),
+    async fetchByPattern(pattern, opts) {
+      const hit = await cache.get(source.name, pattern);
+      if (hit) return hit;
+      const words = await source.fetchByPattern(pattern, opts);
+      await cache.set(source.name, pattern, words);
+      return words;
+    },
+  };
+}
+
+/**
+ * Ask each source in turn until one returns words. A source that throws
+ * (e.g. no network) is logged and skipped. originOf(word) names the source
+ * that answered with the word.
+ */
+export function chainSources(sources) {
+  const name = sources.map((s) => s.name).join(" → ");
+  const origins = new Map(); // WORD -> source name
+  return {
+    name,
+    originOf: (word) => origins.get(word) ?? name,
+    async flush() {
+      for (const source of sources) await source.flush?.();
+    },
+    async fetchByPattern(pattern, opts) {
+      for (const source of sources) {
+        try {
+          const words = await source.fetchByPattern(pattern, opts);
+          for (const w of words) {
+            if (!origins.has(w)) {
+              origins.set(w, source.originOf?.(w) ?? source.name);
+            }
+          }
+          if (words.length > 0) return words;
+        } catch (e) {
+          console.warn(
+            `[WordSource] ${source.name} failed for ${pattern}: ${e.message}`
+          );
+        }
+      }
+      return [];
+    },
+  };
+}
+
+/**
+ * Build a source from config. `spec` is one entry or an array of entries
+ * (chained in order); an entry is "onelook", "local:<path>",
+ * "fixture:<path>", an object { type, path, recordFrom? }, or a ready-made
+ * source object. Default: OneLook alone. With a `cache` from
+ * openHydrationCache(), remote sources answer through it.
+ */
+export function createWordSource(spec = "onelook", { cache } = {}) {
+  if (Array.isArray(spec)) {
+    const sources = spec.map((s) => createWordSource(s, { cache }));
+    return sources.length === 1 ? sources[0] : chainSources(sources);
+  }
+  if (typeof spec?.fetchByPattern === "function") return spec;
+
+  const entry =
+    typeof spec === "string"
+      ? {
+          type: spec.split(":")[0],
+          path: spec.slice(spec.indexOf(":") + 1),
+        }
+      : spec;
+  switch (entry?.type) {
+    case "onelook":
+      return cache ? cachedSource(oneLookSource(), cache) : oneLookSource();
+    case "local":
+      return localSource({ path: entry.path });
+    case "fixture":
+      return fixtureSource({
+        path: entry.path,
+        recordFrom:
+          entry.recordFrom && createWordSource(entry.recordFrom, { cache }),
+      });
+    default:
+      throw new Error(
+        `[WordSource] Unknown word source ${JSON.stringify(spec)}; ` +
+          `use "onelook", "local:<path>" or "fixture:<path>".`
+      );
+  }
+}
@@ -0,0 +1,85 @@
+#!/usr/bin/env node
+// src/tools/bench-index.js
+import { loadPoolsSafe, POOLS_PATH } from "../utils/poolsStore.js";
+import {
+  buildTieredIndexes,
+  candidatesForPattern,
+  countForPattern,
+} from "../dictionary/indexes.js";
+import { makeRNG } from "../utils/random.js";
+
+// Share of letters kept when turning a pool word into a query pattern;
+// roughly what a half-filled grid asks for.
+const KEEP_LETTER = 0.3;
+
+/** Random patterns drawn from real pool words, so most have matches. */
+function samplePatterns(indexes, count, rand) {
+  const byLen = [...indexes.byLen.both.entries()];
+  const out = [];
+  for (let i = 0; i < count && byLen.length > 0; i++) {
+    const [L, words] = byLen[Math.floor(rand() * byLen.length)];
+    const w = words[Math.floor(rand() * words.length)];
+    const pattern = [...w].map((ch) => (rand() < KEEP_LETTER ? ch : "_"));
+    out.push([L, pattern.join("")]);
+  }
+  return out;
+}
+
+function time(label, queries, fn) {
+  const t0 = performance.now();
+  let found = 0;
+  for (const [L, p] of queries) found += fn(L, p);
+  const ms = performance.now() - t0;
+  console.log(
+    `  ${label.padEnd(28)} ${ms.toFixed(1).padStart(9)} ms ` +
+      `(${((ms / queries.length) * 1000).toFixed(1)} µs/query, ${found} hits)`
+  );
+  return ms;
+}
+
+async function main() {
+  const count = Number(process.argv[2]) || 20000;
+  const pools = await loadPoolsSafe();
+
+  const t0 = performance.now();
+  const indexes = buildTieredIndexes(pools);
+  const words = [...indexes.byLen.both.values()].reduce(
+    (n, list) => n + list.length,
+    0
+  );
+  console.log(
+    `Indexed ${words} words from ${POOLS_PATH} in ${(
+      performance.now() - t0
+    ).toFixed(1)} ms`
+  );
+  if (words === 0) {
+    console.log("The pools are empty; nothing to measure.");
+    return;
+  }
+
+  const queries = samplePatterns(indexes, count, makeRNG(1));
+  console.log(`Timing ${queries.length} pattern queries:`);
+
+  // Baseline for scale: a plain scan of the pool words.
+  const scan = time("linear scan", queries, (L, p) => {
+    const re = new RegExp(`^${p.replace(/_/g, ".")}$`);
+    return indexes.byLen.both.get(L).filter((w) => re.test(w)).length;
+  });
+  const list = time(
+    "candidatesForPattern",
+    queries,
+    (L, p) => candidatesForPattern(indexes, L, p).length
+  );
+  const capped = time("countForPattern (cap 51)", queries, (L, p) =>
+    countForPattern(indexes, L, p, { limit: 51 })
+  );
+  console.log(
+    `Speedup over the scan: ${(scan / list).toFixed(1)}× listing, ` +
+      `${(scan / capped).toFixed(1)}× counting (LCV).`
+  );
+}
+
+main().catch((e) => {
+  console.error("❌ Failed:", e.message);
+  process.exit(1);
+});
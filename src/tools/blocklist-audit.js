@@ -0,0 +1,58 @@
+#!/usr/bin/env node
+// src/tools/blocklist-audit.js
+import {
+  loadPoolsSafe,
+  savePoolsAtomic,
+  removeWordsFromPools,
+  POOLS_PATH,
+  GRID_MAX,
+} from "../utils/poolsStore.js";
+import { loadBlocklist } from "../utils/blocklist.js";
+import { puzzleConfig } from "../config/puzzleConfig.js";
+
+// `npm run blocklist:audit [-- --remove] [--all]` lists the pool words the
+// blocklist catches, by category; --remove deletes them from pools.json.
+// The puzzle's overrides (puzzleConfig.blocklist) apply unless --all.
+async function main() {
+  const args = process.argv.slice(2);
+  const blocklist = loadBlocklist(
+    args.includes("--all") ? {} : puzzleConfig.blocklist || {}
+  );
+  const pools = await loadPoolsSafe();
+
+  const found = {}; // category -> words
+  for (let L = 3; L <= GRID_MAX; L++) {
+    for (const w of pools[String(L)] || []) {
+      const category = blocklist.check(w);
+      if (category) (found[category] ||= []).push(w);
+    }
+  }
+
+  const total = Object.values(found).reduce((n, list) => n + list.length, 0);
+  console.log(
+    `Checked ${POOLS_PATH} against: ${blocklist.categories.join(", ")}`
+  );
+  if (total === 0) {
+    console.log("✅ No blocked words in the pools.");
+    return;
+  }
+  for (const [category, words] of Object.entries(found)) {
+    console.log(`  • ${category} (${words.length}): ${words.join(", ")}`);
+  }
+
+  if (!args.includes("--remove")) {
+    console.log(
+      `\n${total} blocked word(s). Re-run with --remove to drop them.`
+    );
+    process.exitCode = 1;
+    return;
+  }
+  removeWordsFromPools(pools, Object.values(found).flat());
+  await savePoolsAtomic(pools);
+  console.log(`\n✅ Removed ${total} blocked word(s) from ${POOLS_PATH}.`);
+}
+
+main().catch((e) => {
+  console.error("❌ Failed:", e.message);
+  process.exit(1);
+});
@@ -0,0 +1,130 @@
+#!/usr/bin/env node
+// src/tools/hydration-cache.js
+import fs from "fs/promises";
+import { openHydrationCache } from "../utils/hydrationCache.js";
+import { createWordSource } from "../solver/wordSources.js";
+import { puzzleConfig } from "../config/puzzleConfig.js";
+
+const USAGE =
+  "Usage: npm run hydration-cache -- <command> [options]\n" +
+  "  inspect [PATTERN...] [--provider=NAME]  summary, or the cached entries for patterns\n" +
+  "  warm PATTERN... [--file=patterns.txt] [--source=onelook]\n" +
+  "                                          fetch and cache patterns (A?P?? style)\n" +
+  "  clear [--expired] [--negative] [--provider=NAME]\n" +
+  "                                          drop entries (all of them without flags)";
+
+const day = (ms) => new Date(ms).toISOString().slice(0, 10);
+
+async function inspect(cache, patterns, provider) {
+  const all = (await cache.list()).filter(
+    (e) => !provider || e.provider === provider
+  );
+  if (patterns.length > 0) {
+    for (const pattern of patterns) {
+      const hits = all.filter((e) => e.pattern === pattern);
+      if (hits.length === 0) console.log(`${pattern}: not cached`);
+      for (const e of hits) {
+        const words = e.words.length
+          ? `${e.words.length} words (${e.words.slice(0, 8).join(", ")}${
+              e.words.length > 8 ? ", …" : ""
+            })`
+          : "no words (negative entry)";
+        console.log(
+          `${pattern} [${e.provider}]: ${words}, cached ${day(e.at)}` +
+            (e.expired ? ", expired" : "")
+        );
+      }
+    }
+    return;
+  }
+
+  console.log(`${cache.path}: ${all.length} entries`);
+  if (all.length === 0) return;
+  const byProvider = {};
+  for (const e of all) {
+    const p = (byProvider[e.provider] ||= { entries: 0, negative: 0 });
+    p.entries++;
+    if (e.words.length === 0) p.negative++;
+  }
+  for (const [name, p] of Object.entries(byProvider)) {
+    console.log(`  • ${name}: ${p.entries} (${p.negative} negative)`);
+  }
+  const expired = all.filter((e) => e.expired).length;
+  const ages = all.map((e) => e.at);
+  console.log(
+    `  ${expired} expired; oldest ${day(Math.min(...ages))}, newest ${day(
+      Math.max(...ages)
+    )}`
+  );
+}
+
+async function warm(cache, patterns, sourceSpec) {
+  const source = createWordSource(sourceSpec, { cache });
+  let fetched = 0;
+  for (const raw of patterns) {
+    const pattern = raw.toUpperCase().replace(/_/g, "?");
+    const known = await cache.get(source.name, pattern);
+    if (known) {
+      console.log(`= ${pattern}: already cached (${known.length} words)`);
+      continue;
+    }
+    try {
+      const words = await source.fetchByPattern(pattern, { max: 200 });
+      fetched++;
+      console.log(`+ ${pattern}: ${words.length} words`);
+    } catch (e) {
+      console.error(`! ${pattern}: ${e.message}`);
+    }
+  }
+  await cache.save();
+  console.log(`\n✅ Warmed ${fetched} of ${patterns.length} patterns.`);
+}
+
+async function clear(cache, { expired, negative, provider }) {
+  const all = !expired && !negative;
+  const dropped = await cache.prune(
+    (e) =>
+      !(
+        (!provider || e.provider === provider) &&
+        (all || (expired && e.expired) || (negative && e.words.length === 0))
+      )
+  );
+  console.log(`✅ Removed ${dropped} entries from ${cache.path}.`);
+}
+
+async function main() {
+  const [command, ...args] = process.argv.slice(2);
+  const flag = (name) =>
+    args.find((a) => a.startsWith(`--${name}=`))?.slice(name.length + 3);
+  const positional = args.filter((a) => !a.startsWith("--"));
+  const cache = openHydrationCache(puzzleConfig.hydrationCache || {});
+
+  switch (command) {
+    case "inspect":
+      return inspect(cache, positional, flag("provider"));
+    case "warm": {
+      const file = flag("file");
+      const patterns = [
+        ...positional,
+        ...(file
+          ? (await fs.readFile(file, "utf8")).split(/\s+/).filter(Boolean)
+          : []),
+      ];
+      if (patterns.length === 0) break;
+      return warm(cache, patterns, flag("source") || "onelook");
+    }
+    case "clear":
+      return clear(cache, {
+        expired: args.includes("--expired"),
+        negative: args.includes("--negative"),
+        provider: flag("provider"),
+      });
+  }
+  console.error(USAGE);
+  process.exit(1);
+}
+
+main().catch((e) => {
+  console.error("❌ Failed:", e.message);
+  process.exit(1);
+});
@@ -5,37 +5,48 @@ import {
   loadPoolsSafe,
   savePoolsAtomic,
   addWordsToPools,
+  parseWordList,
   POOLS_PATH,
 } from "../utils/poolsStore.js";
 
 async function readWordsFromFile(p) {
   const raw = await fs.readFile(p, "utf8");
-  // Accept one-per-line and also tolerate commas/semicolons
-  return raw
-    .split(/[\r\n,;]+/)
-    .map((s) => s.trim())
-    .filter(Boolean);
+  // One per line (commas/semicolons tolerated) or scored "WORD;SCORE" lines
+  return parseWordList(raw);
 }
 
 async function main() {
   const args = process.argv.slice(2);
-  if (args.length === 0) {
+  const flag = (name) =>
+    args.find((a) => a.startsWith(`--${name}=`))?.slice(name.length + 3);
+  const files = args.filter((a) => !a.startsWith("--"));
+  if (files.length === 0) {
     console.error(
-      "Usage: node src/tools/pools-add-file.js <file1.txt> [file2.txt ...]\n" +
-        "Example: node src/tools/pools-add-file.js src/data/my-word-list.txt"
+      "Usage: node src/tools/pools-add-file.js <file1.txt> [file2.txt ...] [--source=NAME] [--tags=a,b]\n" +
+        "Files hold one word per line, or scored lines like XRAY;60.\n" +
+        "New words are recorded with source import:<file> unless --source is given.\n" +
+        "Example: node src/tools/pools-add-file.js src/data/my-word-list.txt --tags=medical"
     );
     process.exit(1);
   }
+  const tags = (flag("tags") || "").split(",").filter(Boolean);
 
   const pools = await loadPoolsSafe();
   let total = 0;
   const perLen = {};
+  const blocked = {}; // category -> count
 
-  for (const filePath of args) {
+  for (const filePath of files) {
     try {
       console.log(`Reading words from ${filePath}...`);
       const words = await readWordsFromFile(filePath);
-      const added = addWordsToPools(pools, words);
+      const added = addWordsToPools(pools, words, {
+        source: flag("source") || `import:${filePath}`,
+        tags,
+        onBlocked: (w, category) => {
+          blocked[category] = (blocked[category] || 0) + 1;
+        },
+      });
 
       const count = Object.values(added).reduce((a, b) => a + b, 0);
       total += count;
@@ -62,6 +73,9 @@ async function main() {
       console.log(`  • Length ${len}: +${perLen[len]}`);
     }
   }
+  for (const [category, count] of Object.entries(blocked)) {
+    console.log(`Skipped ${count} blocked word(s) (${category}).`);
+  }
 }
 
 main().catch((e) => {
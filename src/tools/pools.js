@@ -0,0 +1,335 @@
+#!/usr/bin/env node
+// src/tools/pools.js
+import fs from "fs/promises";
+import {
+  loadPoolsSafe,
+  savePoolsAtomic,
+  readPoolsFile,
+  addWordsToPools,
+  removeWordsFromPools,
+  parseWordList,
+  normalizeToken,
+  sourceMatches,
+  POOLS_PATH,
+  POOLS_BACKUP_PATH,
+  GRID_MAX,
+  LEGACY_SOURCE,
+} from "../utils/poolsStore.js";
+
+const USAGE =
+  "Usage: npm run pools -- <command> [options]\n" +
+  "  search PATTERN [--regex] [--source=NAME] [--tag=TAG] [--limit=50]\n" +
+  "                                  words matching A?P?? (? = any letter), or a regex\n" +
+  "  stats [--min=200]               counts by length and source, coverage gaps\n" +
+  "  remove WORD... [--file=list.txt] [--dry-run]\n" +
+  "  import FILE... [--source=NAME] [--tags=a,b] [--dry-run]\n" +
+  "  export [--format=txt|csv] [--out=FILE] [--source=NAME]\n" +
+  "  diff [OLD] [NEW]                two pool files (default: the .bak backup vs pools.json)\n" +
+  "  restore                         swap pools.json with its .bak backup\n" +
+  "Commands that change the pools keep the previous file as pools.json.bak.";
+
+const LETTERS = "ABCDEFGHIJKLMNOPQRSTUVWXYZ";
+
+/** Every pool word, shortest first, as { word, score, source, added, tags }. */
+function poolEntries(pools) {
+  const out = [];
+  for (let L = 3; L <= GRID_MAX; L++) {
+    for (const word of pools[String(L)] || []) {
+      const meta = pools.meta?.[word] || {};
+      out.push({
+        word,
+        score: pools.scores?.[word] ?? null,
+        source: meta.source || LEGACY_SOURCE,
+        added: meta.added || null,
+        tags: meta.tags || [],
+      });
+    }
+  }
+  return out;
+}
+
+function describe(e) {
+  return [
+    e.word.padEnd(GRID_MAX),
+    String(e.score ?? "-").padStart(3),
+    e.source,
+    e.added || "",
+    e.tags.join(","),
+  ]
+    .join("  ")
+    .trimEnd();
+}
+
+function search(pools, query, { regex, source, tag, limit }) {
+  let test;
+  if (regex) {
+    test = (w) => new RegExp(query, "i").test(w);
+  } else {
+    // Only "?" is a wildcard: "_" is a valid token character.
+    const pattern = normalizeToken(query);
+    test = (w) =>
+      w.length === pattern.length &&
+      [...pattern].every((ch, i) => ch === "?" || ch === w[i]);
+  }
+  const hits = poolEntries(pools).filter(
+    (e) =>
+      test(e.word) &&
+      (!source || sourceMatches(e.source, source)) &&
+      (!tag || e.tags.includes(tag))
+  );
+  for (const e of hits.slice(0, limit)) console.log(describe(e));
+  console.log(
+    `\n${hits.length} match(es)` +
+      (hits.length > limit ? `, showing ${limit} (--limit=N for more)` : "")
+  );
+}
+
+function stats(pools, min) {
+  const entries = poolEntries(pools);
+  const scored = entries.filter((e) => e.score !== null).length;
+  console.log(`${POOLS_PATH}: ${entries.length} words, ${scored} scored`);
+
+  console.log("\nBy length:");
+  for (let L = 3; L <= GRID_MAX; L++) {
+    const words = pools[String(L)] || [];
+    const withScore = words.filter((w) => pools.scores?.[w] != null).length;
+    const share = words.length
+      ? ` (${Math.round((withScore / words.length) * 100)}% scored)`
+      : "";
+    const flag = words.length < min ? `  ⚠ below ${min}` : "";
+    console.log(`  ${String(L).padStart(2)}: ${words.length}${share}${flag}`);
+  }
+
+  console.log("\nBy source:");
+  const bySource = {};
+  for (const e of entries) bySource[e.source] = (bySource[e.source] || 0) + 1;
+  for (const [source, n] of Object.entries(bySource).sort(
+    (a, b) => b[1] - a[1]
+  )) {
+    console.log(`  • ${source}: ${n}`);
+  }
+
+  // A letter used in words of a length but never at some position means
+  // any slot of that length crossing there has no candidates at all.
+  console.log("\nCoverage gaps (letters never seen at a position):");
+  let gaps = 0;
+  for (let L = 3; L <= GRID_MAX; L++) {
+    const words = pools[String(L)] || [];
+    if (words.length === 0) continue;
+    const used = new Set(words.join(""));
+    const missing = [];
+    for (let i = 0; i < L; i++) {
+      const seen = new Set(words.map((w) => w[i]));
+      const none = [...LETTERS].filter((ch) => used.has(ch) && !seen.has(ch));
+      if (none.length > 0) missing.push(`${i + 1}: ${none.join("")}`);
+    }
+    if (missing.length === 0) continue;
+    gaps++;
+    console.log(`  ${String(L).padStart(2)} letters — ${missing.join("; ")}`);
+  }
+  if (gaps === 0) console.log("  none");
+}
+
+async function remove(pools, words, dryRun) {
+  const removed = removeWordsFromPools(pools, words);
+  const missing = words.map(normalizeToken).filter((w) => !removed.includes(w));
+  if (missing.length > 0) {
+    console.log(`Not in the pools: ${missing.join(", ")}`);
+  }
+  if (removed.length === 0) {
+    console.log("Nothing to remove.");
+    return;
+  }
+  if (dryRun) {
+    console.log(`Would remove ${removed.length}: ${removed.join(", ")}`);
+    return;
+  }
+  await savePoolsAtomic(pools);
+  console.log(
+    `✅ Removed ${removed.length} word(s) from ${POOLS_PATH} ` +
+      `(previous file: ${POOLS_BACKUP_PATH}).`
+  );
+}
+
+async function importFiles(pools, files, { source, tags, dryRun }) {
+  const scoresBefore = { ...pools.scores };
+  const perLen = {};
+  const blocked = {}; // category -> count
+  for (const file of files) {
+    const words = parseWordList(await fs.readFile(file, "utf8"));
+    const added = addWordsToPools(pools, words, {
+      source: source || `import:${file}`,
+      tags,
+      onBlocked: (w, category) => {
+        blocked[category] = (blocked[category] || 0) + 1;
+      },
+    });
+    const count = Object.values(added).reduce((a, b) => a + b, 0);
+    console.log(`${dryRun ? "~" : "+"} ${file}: ${count} new word(s)`);
+    for (const [len, c] of Object.entries(added)) {
+      perLen[len] = (perLen[len] || 0) + c;
+    }
+  }
+  const rescored = Object.keys(pools.scores || {}).filter(
+    (w) => w in scoresBefore && scoresBefore[w] !== pools.scores[w]
+  ).length;
+  const total = Object.values(perLen).reduce((a, b) => a + b, 0);
+
+  console.log(
+    `\n${dryRun ? "Would add" : "Added"} ${total} word(s)` +
+      (rescored ? `, ${dryRun ? "rescore" : "rescored"} ${rescored}` : "")
+  );
+  for (const len of Object.keys(perLen).sort((a, b) => a - b)) {
+    console.log(`  • Length ${len}: +${perLen[len]}`);
+  }
+  for (const [category, count] of Object.entries(blocked)) {
+    console.log(`Skipped ${count} blocked word(s) (${category}).`);
+  }
+  if (dryRun) {
+    console.log("\nDry run: pools.json was not changed.");
+    return;
+  }
+  await savePoolsAtomic(pools);
+  console.log(
+    `\n✅ Updated ${POOLS_PATH} (previous file: ${POOLS_BACKUP_PATH}).`
+  );
+}
+
+const csvField = (v) =>
+  /[",\n]/.test(v) ? `"${String(v).replace(/"/g, '""')}"` : String(v);
+
+async function exportPools(pools, { format, out, source }) {
+  const entries = poolEntries(pools).filter(
+    (e) => !source || sourceMatches(e.source, source)
+  );
+  let text;
+  if (format === "csv") {
+    const rows = entries.map((e) =>
+      [
+        e.word,
+        e.word.length,
+        e.score ?? "",
+        e.source,
+        e.added || "",
+        e.tags.join("|"),
+      ]
+        .map(csvField)
+        .join(",")
+    );
+    text = ["word,length,score,source,added,tags", ...rows].join("\n");
+  } else if (format === "txt") {
+    // The list format pools-add-file and `import` read back (WORD;SCORE).
+    text = entries
+      .map((e) => (e.score === null ? e.word : `${e.word};${e.score}`))
+      .join("\n");
+  } else {
+    throw new Error(`Unknown export format "${format}"; use txt or csv.`);
+  }
+  if (!out) {
+    console.log(text);
+    return;
+  }
+  await fs.writeFile(out, `${text}\n`);
+  console.log(`✅ Exported ${entries.length} words to ${out}.`);
+}
+
+function diff(before, after, { oldPath, newPath, limit }) {
+  const a = new Map(poolEntries(before).map((e) => [e.word, e]));
+  const b = new Map(poolEntries(after).map((e) => [e.word, e]));
+  const added = [...b.keys()].filter((w) => !a.has(w));
+  const removed = [...a.keys()].filter((w) => !b.has(w));
+  const rescored = [...b.keys()].filter(
+    (w) => a.has(w) && a.get(w).score !== b.get(w).score
+  );
+
+  console.log(`${oldPath} → ${newPath}`);
+  const show = (label, words, fmt) => {
+    console.log(`\n${label}: ${words.length}`);
+    for (const w of words.slice(0, limit)) console.log(`  ${fmt(w)}`);
+    if (words.length > limit) console.log(`  … ${words.length - limit} more`);
+  };
+  show("Added", added, (w) => `+ ${w} (${b.get(w).source})`);
+  show("Removed", removed, (w) => `- ${w} (${a.get(w).source})`);
+  show(
+    "Rescored",
+    rescored,
+    (w) => `~ ${w}: ${a.get(w).score ?? "-"} → ${b.get(w).score ?? "-"}`
+  );
+}
+
+async function restore() {
+  // Check the backup reads before touching anything.
+  await readPoolsFile(POOLS_BACKUP_PATH);
+  const tmp = `${POOLS_PATH}.tmp`;
+  await fs.rename(POOLS_PATH, tmp);
+  await fs.rename(POOLS_BACKUP_PATH, POOLS_PATH);
+  await fs.rename(tmp, POOLS_BACKUP_PATH);
+  console.log(
+    `✅ Restored ${POOLS_PATH} from its backup; the replaced file is now ${POOLS_BACKUP_PATH}.`
+  );
+}
+
+async function main() {
+  const [command, ...args] = process.argv.slice(2);
+  const flag = (name) =>
+    args.find((a) => a.startsWith(`--${name}=`))?.slice(name.length + 3);
+  const positional = args.filter((a) => !a.startsWith("--"));
+  const dryRun = args.includes("--dry-run");
+  const limit = Number(flag("limit")) || 50;
+
+  switch (command) {
+    case "search":
+      if (positional.length !== 1) break;
+      return search(await readPoolsFile(POOLS_PATH), positional[0], {
+        regex: args.includes("--regex"),
+        source: flag("source"),
+        tag: flag("tag"),
+        limit,
+      });
+    case "stats":
+      return stats(await readPoolsFile(POOLS_PATH), Number(flag("min")) || 200);
+    case "remove": {
+      const file = flag("file");
+      const words = [
+        ...positional,
+        ...(file
+          ? parseWordList(await fs.readFile(file, "utf8")).map((item) =>
+              typeof item === "object" ? item.word : item
+            )
+          : []),
+      ];
+      if (words.length === 0) break;
+      return remove(await loadPoolsSafe(), words, dryRun);
+    }
+    case "import":
+      if (positional.length === 0) break;
+      return importFiles(await loadPoolsSafe(), positional, {
+        source: flag("source"),
+        tags: (flag("tags") || "").split(",").filter(Boolean),
+        dryRun,
+      });
+    case "export":
+      return exportPools(await loadPoolsSafe(), {
+        format: flag("format") || "txt",
+        out: flag("out"),
+        source: flag("source"),
+      });
+    case "diff": {
+      const [oldPath = POOLS_BACKUP_PATH, newPath = POOLS_PATH] = positional;
+      return diff(await readPoolsFile(oldPath), await readPoolsFile(newPath), {
+        oldPath,
+        newPath,
+        limit,
+      });
+    }
+    case "restore":
+      return restore();
+  }
+  console.error(USAGE);
+  process.exit(1);
+}
+
+main().catch((e) => {
+  console.error("❌ Failed:", e.message);
+  process.exit(1);
+});
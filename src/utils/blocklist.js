@@ -0,0 +1,105 @@
+// src/utils/blocklist.js
+// Words that must never enter the pools or a grid. Each category is a file
+// in src/data/blocklist/<category>.txt: one word per line, "#" comments,
+// and "*" at either end of a word matching any letters.
+//
+// The lists are read synchronously and once per process, so the pool and
+// index builders (which are synchronous) can enforce them by default.
+import fs from "fs";
+import path from "path";
+import { normalizeToken } from "../config/rules.js";
+
+export const BLOCKLIST_DIR = "src/data/blocklist";
+
+function readCategory(dir, category) {
+  const raw = fs.readFileSync(path.join(dir, `${category}.txt`), "utf8");
+  return raw
+    .split(/\r?\n/)
+    .map((line) => line.replace(/#.*/, "").trim())
+    .filter(Boolean)
+    .map((w) => normalizeToken(w));
+}
+
+/** Every category with a list file in `dir`. */
+export function blocklistCategories(dir = BLOCKLIST_DIR) {
+  try {
+    return fs
+      .readdirSync(dir)
+      .filter((f) => f.endsWith(".txt"))
+      .map((f) => f.slice(0, -".txt".length))
+      .sort();
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Build a blocklist. Per-puzzle overrides narrow or widen the shared lists:
+ * `categories` picks which lists apply (default: all), `allow` lets words
+ * through that a list would block, and `block` adds words of its own
+ * (reported as category "puzzle").
+ *
+ * @param {object} [opts]
+ * - categories: string[] list names from src/data/blocklist
+ * - allow: string[] exact words to let through
+ * - block: string[] extra words or "*" patterns to block
+ * - dir: where the list files live (default BLOCKLIST_DIR)
+ * @returns {{ categories: string[], check: (word: string) => string|null, has: (word: string) => boolean }}
+ *   `check` names the category that blocks a word, or null
+ */
+export function loadBlocklist({
+  categories,
+  allow = [],
+  block = [],
+  dir = BLOCKLIST_DIR,
+} = {}) {
+  const known = blocklistCategories(dir);
+  const used = categories ?? known;
+  for (const c of used) {
+    if (!known.includes(c)) {
+      throw new Error(
+        `[Blocklist] Unknown category "${c}"; have: ${known.join(", ")}`
+      );
+    }
+  }
+
+  const exact = new Map(); // WORD -> category
+  const wild = []; // { re, category }
+  const add = (entry, category) => {
+    if (!entry.includes("*")) {
+      if (!exact.has(entry)) exact.set(entry, category);
+      return;
+    }
+    const body = escapeRegExp(entry.replace(/\*/g, ""));
+    const re = new RegExp(
+      `^${entry.startsWith("*") ? ".*" : ""}${body}${
+        entry.endsWith("*") ? ".*" : ""
+      }$`
+    );
+    wild.push({ re, category });
+  };
+  for (const c of used) readCategory(dir, c).forEach((w) => add(w, c));
+  block.map(normalizeToken).forEach((w) => add(w, "puzzle"));
+  const allowed = new Set(allow.map(normalizeToken));
+
+  const check = (word) => {
+    const w = normalizeToken(word);
+    if (allowed.has(w)) return null;
+    if (exact.has(w)) return exact.get(w);
+    return wild.find(({ re }) => re.test(w))?.category ?? null;
+  };
+  return { categories: used, check, has: (word) => check(word) !== null };
+}
+
+/** `text` with every RegExp metacharacter escaped. */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+let shared = null;
+
+/** The blocklist with every category and no overrides (loaded once). */
+export function defaultBlocklist() {
+  shared ??= loadBlocklist();
+  return shared;
+}
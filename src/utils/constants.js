@@ -1,7 +1,9 @@
 // utils/constants.js
+import { MAX_GRID_SIZE } from "../config/rules.js";
+
 export const APP_NAME = "crossword-service";
 export const PORT = process.env.PORT || 3000;
 export const SUPPORTED_LANGUAGES = ["en", "es", "fr"];
 export const FOUNDATION_FILE_PATH = "src/data/foundation.json";
-export const MAX_WORD_LENGTH = 12;
-export const GRID_MAX_LETTERS = 12;
+export const MAX_WORD_LENGTH = MAX_GRID_SIZE;
+export const GRID_MAX_LETTERS = MAX_GRID_SIZE;
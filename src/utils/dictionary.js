@@ -4,6 +4,7 @@ import {
   loadPoolsSafe,
   savePoolsAtomic,
   addWordsToPools,
+  parseWordList,
 } from "./poolsStore.js";
 
 const OK = /^[A-Z0-9_]+$/;
@@ -11,24 +12,23 @@ const up = (s) =>
   String(s || "")
     .toUpperCase()
     .replace(/\s+/g, "");
-const dedupeAlpha = (arr) =>
-  [...new Set(arr)].sort((a, b) => a.localeCompare(b));
 
-// Helper to load optional local wordlists
+const GENERAL_LIST = "src/data/wordlist-general.txt";
+
+// Helper to load optional local wordlists (plain or scored "WORD;SCORE")
 async function loadLocalWordlists() {
   async function readList(p) {
     try {
-      return (await fs.readFile(p, "utf8"))
-        .split(/\r?\n/)
-        .map(up)
-        .filter((w) => w && OK.test(w));
+      return parseWordList(await fs.readFile(p, "utf8")).filter((item) => {
+        const w = up(typeof item === "object" ? item.word : item);
+        return w && OK.test(w);
+      });
     } catch {
       return []; // Return empty array if file doesn't exist
     }
   }
   // This can be expanded to include medical or other specific lists if needed
-  const general = await readList("src/data/wordlist-general.txt");
-  return dedupeAlpha(general);
+  return await readList(GENERAL_LIST);
 }
 
 /**
@@ -44,7 +44,9 @@ export async function buildCandidatePools() {
     console.log(
       `[Dictionary] Found ${localWords.length} words in local files to add to pools.`
     );
-    addWordsToPools(onDiskPools, localWords);
+    addWordsToPools(onDiskPools, localWords, {
+      source: `local:${GENERAL_LIST}`,
+    });
     await savePoolsAtomic(onDiskPools);
   }
 
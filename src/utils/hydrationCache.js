@@ -0,0 +1,163 @@
+// src/utils/hydrationCache.js
+// On-disk cache of word-source answers, keyed by provider and pattern, so
+// repeated runs don't ask a remote source (OneLook) the same thing again.
+//   { version: 1, entries: { "onelook|A?P??": { words: [...], at: <ms> } },
+//     dropped: { "onelook|Q????": <ms> } }
+// An entry with no words is a negative entry: the pattern had no answers.
+// `dropped` remembers pruned keys for a while, so a process that still has
+// one in memory doesn't write it back.
+import fs from "fs/promises";
+import { dirname } from "path";
+import { DATA_DIR } from "./poolsStore.js";
+
+export const HYDRATION_CACHE_PATH = `${DATA_DIR}/hydration_cache.json`;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const HYDRATION_CACHE_DEFAULTS = {
+  ttlDays: 30, // how long answers stay fresh
+  negativeTtlDays: 3, // empty answers expire sooner: sources grow
+  maxEntries: 20000, // oldest entries are dropped beyond this
+};
+
+const keyOf = (provider, pattern) => `${provider}|${pattern}`;
+
+/**
+ * Open the cache at `path` (read lazily, on first use). `get` returns the
+ * cached words ([] for a negative entry) or null on a miss or an expired
+ * entry; `set` records an answer in memory. `save` writes the file when
+ * anything changed; the hydrator calls it once per solve (see flush()).
+ * Other processes (solve workers, `hydration-cache warm`) may share the
+ * file, so a save first merges in whatever they saved since, newest `at`
+ * winning per key.
+ *
+ * @param {object} [opts] HYDRATION_CACHE_DEFAULTS overrides, plus `path`
+ */
+export function openHydrationCache(opts = {}) {
+  const {
+    path = HYDRATION_CACHE_PATH,
+    ttlDays,
+    negativeTtlDays,
+    maxEntries,
+  } = { ...HYDRATION_CACHE_DEFAULTS, ...opts };
+  let entries = null;
+  let loading = null; // concurrent first uses share one read
+  let dirty = false;
+  let saving = Promise.resolve(); // saves run one at a time
+  let saves = 0;
+  const dropped = new Map(); // key -> when prune() removed it
+
+  const read = async () => {
+    try {
+      const doc = JSON.parse(await fs.readFile(path, "utf8"));
+      return {
+        entries: new Map(Object.entries(doc?.entries || {})),
+        dropped: new Map(Object.entries(doc?.dropped || {})),
+      };
+    } catch {
+      return { entries: new Map(), dropped: new Map() }; // start empty
+    }
+  };
+  const load = () =>
+    (loading ??= read().then((found) => {
+      entries = found.entries;
+      return entries;
+    }));
+
+  const isExpired = (entry, now = Date.now()) =>
+    now - entry.at >
+    (entry.words.length > 0 ? ttlDays : negativeTtlDays) * DAY_MS;
+
+  const write = async () => {
+    if (!dirty) return;
+    dirty = false;
+    const onDisk = await read();
+    for (const [key, at] of onDisk.dropped) {
+      if (at > (dropped.get(key) ?? -Infinity)) dropped.set(key, at);
+    }
+    for (const [key, entry] of onDisk.entries) {
+      if (entry.at > (entries.get(key)?.at ?? -Infinity)) {
+        entries.set(key, entry);
+      }
+    }
+    const now = Date.now();
+    for (const [key, entry] of entries) {
+      if (
+        isExpired(entry, now) ||
+        entry.at <= (dropped.get(key) ?? -Infinity)
+      ) {
+        entries.delete(key);
+      }
+    }
+    // Past the longest TTL, whatever was dropped would have expired anyway.
+    for (const [key, at] of dropped) {
+      if (now - at > ttlDays * DAY_MS) dropped.delete(key);
+    }
+    // Oldest first, so the excess below is the oldest entries.
+    entries = new Map([...entries].sort((a, b) => a[1].at - b[1].at));
+    const excess = entries.size - maxEntries;
+    if (excess > 0) {
+      [...entries.keys()].slice(0, excess).forEach((k) => entries.delete(k));
+    }
+    const tmp = `${path}.${process.pid}.${++saves}.tmp`;
+    const doc = {
+      version: 1,
+      entries: Object.fromEntries(entries),
+      dropped: Object.fromEntries(dropped),
+    };
+    try {
+      await fs.mkdir(dirname(path), { recursive: true });
+      await fs.writeFile(tmp, JSON.stringify(doc));
+      await fs.rename(tmp, path);
+    } catch (error) {
+      dirty = true; // try again on the next save
+      console.error(`[HydrationCache] Failed to save cache: ${error.message}`);
+    }
+  };
+  const save = () => {
+    saving = saving.then(write);
+    return saving;
+  };
+
+  return {
+    path,
+    async get(provider, pattern) {
+      const entry = (await load()).get(keyOf(provider, pattern));
+      return entry && !isExpired(entry) ? entry.words : null;
+    },
+    async set(provider, pattern, words) {
+      const key = keyOf(provider, pattern);
+      (await load()).delete(key);
+      entries.set(key, { words: [...words], at: Date.now() });
+      dirty = true;
+    },
+    /** Every entry as { provider, pattern, words, at, expired }. */
+    async list() {
+      const now = Date.now();
+      return [...(await load())].map(([key, entry]) => {
+        const cut = key.lastIndexOf("|");
+        return {
+          provider: key.slice(0, cut),
+          pattern: key.slice(cut + 1),
+          ...entry,
+          expired: isExpired(entry, now),
+        };
+      });
+    },
+    /** Drop entries for which `keep(entry)` is false, then save. */
+    async prune(keep) {
+      const before = (await load()).size;
+      const now = Date.now();
+      for (const item of await this.list()) {
+        if (keep(item)) continue;
+        const key = keyOf(item.provider, item.pattern);
+        entries.delete(key);
+        dropped.set(key, now);
+      }
+      dirty = true;
+      await save();
+      return before - entries.size;
+    },
+    save,
+  };
+}
@@ -1,9 +1,14 @@
 // src/utils/poolsStore.js
 import fs from "fs/promises";
+import path from "path";
+import { RULES, MAX_GRID_SIZE } from "../config/rules.js";
+import { defaultBlocklist } from "./blocklist.js";
 
 export const DATA_DIR = "src/data";
 export const POOLS_PATH = `${DATA_DIR}/pools.json`;
-export const GRID_MAX = 12;
+// savePoolsAtomic() keeps the previous file here, one save deep.
+export const POOLS_BACKUP_PATH = `${POOLS_PATH}.bak`;
+export const GRID_MAX = MAX_GRID_SIZE;
 const OK = /^[A-Z0-9_]+$/;
 
 export function normalizeToken(w) {
@@ -19,52 +24,231 @@ function dedupeAlpha(arr) {
 function emptyPools() {
   const o = {};
   for (let L = 3; L <= GRID_MAX; L++) o[String(L)] = [];
+  o.scores = {};
+  o.meta = {};
   return o;
 }
 
-export async function loadPoolsSafe() {
-  await fs.mkdir(DATA_DIR, { recursive: true });
+/** Clamp a raw score to 0-100; null if it isn't a number. */
+function cleanScore(raw) {
+  const n = Number(raw);
+  if (raw === "" || raw == null || !Number.isFinite(n)) return null;
+  return Math.max(0, Math.min(100, Math.round(n)));
+}
+
+/**
+ * Parse a word list. Lines in the common "WORD;SCORE" format (e.g.
+ * "XRAY;60") yield { word, score }; any other line may hold several words
+ * separated by commas or semicolons, which yield bare strings.
+ */
+export function parseWordList(raw) {
+  const out = [];
+  for (const line of String(raw || "").split(/\r?\n/)) {
+    const scored = line.match(/^\s*([^;,]+?)\s*;\s*(-?\d+(?:\.\d+)?)\s*$/);
+    if (scored) {
+      out.push({ word: scored[1], score: cleanScore(scored[2]) });
+      continue;
+    }
+    for (const w of line.split(/[,;]+/)) {
+      if (w.trim()) out.push(w.trim());
+    }
+  }
+  return out;
+}
+
+/*
+ * pools.json, version 2: one record per word.
+ *   { "version": 2, "words": { "XRAY": { "source": "ai", "added": "2025-01-31",
+ *                                        "score": 60, "tags": ["medical"] } } }
+ * Files without a version are the old layout ({ "3": [...], "scores": {} });
+ * they are read as-is and written as version 2 by the next save (the old
+ * file stays as .bak). Reading never writes.
+ *
+ * In memory the pools keep the old shape, so every reader of `pools["5"]`
+ * and `pools.scores` works unchanged, plus `meta`:
+ *   { "3": [...], ..., scores: { WORD: n }, meta: { WORD: { source, added, tags } } }
+ */
+export const POOLS_VERSION = 2;
+
+/** Source recorded for words that predate provenance tracking. */
+export const LEGACY_SOURCE = "legacy";
+
+/** Does a word's source match a filter? "local" matches "local:<path>". */
+export function sourceMatches(source, filter) {
+  return source === filter || String(source).startsWith(`${filter}:`);
+}
+
+function today() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+function cleanTags(tags) {
+  return Array.isArray(tags)
+    ? [...new Set(tags.map((t) => String(t).trim()).filter(Boolean))]
+    : [];
+}
+
+/** In-memory pools from a version-2 document. */
+function fromVersion2(doc) {
+  const pools = emptyPools();
+  for (const [raw, rec] of Object.entries(doc.words || {})) {
+    const w = normalizeToken(raw);
+    if (!OK.test(w) || w.length < 3 || w.length > GRID_MAX) continue;
+    pools[String(w.length)].push(w);
+    const score = cleanScore(rec?.score);
+    if (score !== null) pools.scores[w] = score;
+    pools.meta[w] = {
+      source: rec?.source || LEGACY_SOURCE,
+      added: rec?.added || null,
+      tags: cleanTags(rec?.tags),
+    };
+  }
+  return pools;
+}
+
+/** In-memory pools from the old unversioned layout. */
+function fromLegacy(obj) {
+  const pools = emptyPools();
+  for (let L = 3; L <= GRID_MAX; L++) {
+    const key = String(L);
+    const arr = Array.isArray(obj[key]) ? obj[key] : [];
+    pools[key] = arr
+      .map(normalizeToken)
+      .filter((w) => OK.test(w) && w.length === L);
+  }
+  // Word scores live beside the length buckets: { "XRAY": 60, ... }
+  for (const [w, raw] of Object.entries(obj.scores || {})) {
+    const score = cleanScore(raw);
+    if (score !== null) pools.scores[normalizeToken(w)] = score;
+  }
+  for (let L = 3; L <= GRID_MAX; L++) {
+    for (const w of pools[String(L)]) {
+      pools.meta[w] = { source: LEGACY_SOURCE, added: null, tags: [] };
+    }
+  }
+  return pools;
+}
+
+/** In-memory pools from a pools.json document of any version. */
+function fromDocument(doc, label) {
+  if (doc.version > POOLS_VERSION) {
+    throw new Error(
+      `[poolsStore] ${label} is version ${doc.version}; this code reads up to ${POOLS_VERSION}.`
+    );
+  }
+  const pools =
+    doc.version === POOLS_VERSION ? fromVersion2(doc) : fromLegacy(doc);
+  for (let L = 3; L <= GRID_MAX; L++) {
+    pools[String(L)] = dedupeAlpha(pools[String(L)]);
+  }
+  return pools;
+}
+
+/**
+ * Read any pools file (e.g. a backup or a copy from another machine) into
+ * the in-memory shape, without migrating or writing anything. Throws if
+ * the file is missing or not JSON.
+ */
+export async function readPoolsFile(p = POOLS_PATH) {
+  return fromDocument(JSON.parse(await fs.readFile(p, "utf8")) || {}, p);
+}
+
+/**
+ * Load the pools for use. A missing file reads as empty pools; a file that
+ * can't be read or parsed throws rather than being replaced.
+ */
+export async function loadPoolsSafe(p = POOLS_PATH) {
   try {
-    const raw = await fs.readFile(POOLS_PATH, "utf8");
-    const obj = JSON.parse(raw) || {};
-    // Ensure the structure is a flat array for each length
-    for (let L = 3; L <= GRID_MAX; L++) {
-      const key = String(L);
-      const arr = Array.isArray(obj[key]) ? obj[key] : [];
-      obj[key] = dedupeAlpha(
-        arr.map(normalizeToken).filter((w) => OK.test(w) && w.length === L)
-      );
+    return await readPoolsFile(p);
+  } catch (e) {
+    if (e.code === "ENOENT") return emptyPools();
+    throw e;
+  }
+}
+
+/** The version-2 document for in-memory pools (words in the buckets only). */
+function toVersion2(poolsObj) {
+  const words = {};
+  for (let L = 3; L <= GRID_MAX; L++) {
+    for (const w of poolsObj[String(L)] || []) {
+      const meta = poolsObj.meta?.[w] || {};
+      const rec = { source: meta.source || LEGACY_SOURCE };
+      if (meta.added) rec.added = meta.added;
+      const score = poolsObj.scores?.[w];
+      if (Number.isFinite(score)) rec.score = score;
+      if (meta.tags?.length) rec.tags = meta.tags;
+      words[w] = rec;
     }
-    return obj;
-  } catch {
-    const fresh = emptyPools();
-    await savePoolsAtomic(fresh);
-    return fresh;
   }
+  return { version: POOLS_VERSION, words };
 }
 
-export async function savePoolsAtomic(poolsObj) {
-  await fs.mkdir(DATA_DIR, { recursive: true });
-  const tmp = `${POOLS_PATH}.tmp`;
-  const bak = `${POOLS_PATH}.bak`;
+/**
+ * Write the pools as a version-2 document, keeping the previous file as
+ * `<p>.bak`. Throws if the file can't be written.
+ */
+export async function savePoolsAtomic(poolsObj, p = POOLS_PATH) {
+  const tmp = `${p}.tmp`;
   try {
-    await fs.writeFile(tmp, JSON.stringify(poolsObj, null, 2));
+    await fs.mkdir(path.dirname(p), { recursive: true });
+    await fs.writeFile(tmp, JSON.stringify(toVersion2(poolsObj), null, 2));
     try {
-      await fs.rename(POOLS_PATH, bak);
+      await fs.rename(p, `${p}.bak`);
     } catch {} // Ignore error if bak fails (e.g., first run)
-    await fs.rename(tmp, POOLS_PATH);
+    await fs.rename(tmp, p);
   } catch (error) {
-    console.error(`[poolsStore] Failed to save pools file: ${error.message}`);
+    await fs.rm(tmp, { force: true }).catch(() => {});
+    throw new Error(`[poolsStore] Failed to save ${p}: ${error.message}`);
   }
 }
 
-export function addWordsToPools(poolsObj, words) {
+/**
+ * Add words to the pools. Each item is a word or { word, score, tags } (see
+ * parseWordList); a given score is stored, or updates the word's old one,
+ * and tags are merged in. New words record `source` (e.g. "ai", "onelook",
+ * "local:<path>", "import:<file>") and today's date; words already in the
+ * pools keep their original source.
+ * Blocked words (utils/blocklist.js) are skipped and passed to `onBlocked`.
+ */
+export function addWordsToPools(
+  poolsObj,
+  words,
+  {
+    blocklist = defaultBlocklist(),
+    onBlocked,
+    source = "manual",
+    tags = [],
+  } = {}
+) {
+  poolsObj.meta = poolsObj.meta || {};
   const added = {};
-  for (const raw of words || []) {
-    const w = normalizeToken(raw);
+  for (const item of words || []) {
+    const w = normalizeToken(typeof item === "object" ? item?.word : item);
     if (!OK.test(w)) continue;
     const L = w.length;
     if (L < 3 || L > GRID_MAX) continue;
+    const category = blocklist.check(w);
+    if (category) {
+      onBlocked?.(w, category);
+      continue;
+    }
+
+    const score = typeof item === "object" ? cleanScore(item.score) : null;
+    if (score !== null) {
+      poolsObj.scores = poolsObj.scores || {};
+      poolsObj.scores[w] = score;
+    }
+
+    const itemTags = cleanTags([
+      ...tags,
+      ...(typeof item === "object" ? item.tags || [] : []),
+    ]);
+    const meta = poolsObj.meta[w];
+    if (meta) {
+      meta.tags = cleanTags([...(meta.tags || []), ...itemTags]);
+    } else {
+      poolsObj.meta[w] = { source, added: today(), tags: itemTags };
+    }
 
     const key = String(L);
     poolsObj[key] = poolsObj[key] || []; // Ensure array exists
@@ -82,3 +266,25 @@ export function addWordsToPools(poolsObj, words) {
   }
   return added; // e.g., { "3": 12, "4": 7, ... }
 }
+
+/**
+ * Remove words (any case) from the pools, with their scores and metadata.
+ * @returns {string[]} the words that were in the pools
+ */
+export function removeWordsFromPools(poolsObj, words) {
+  const drop = new Set([...words].map(normalizeToken));
+  const removed = [];
+  for (let L = 3; L <= GRID_MAX; L++) {
+    const key = String(L);
+    poolsObj[key] = (poolsObj[key] || []).filter((w) => {
+      if (!drop.has(w)) return true;
+      removed.push(w);
+      return false;
+    });
+  }
+  for (const w of drop) {
+    delete poolsObj.scores?.[w];
+    delete poolsObj.meta?.[w];
+  }
+  return removed;
+}
@@ -0,0 +1,31 @@
+// src/utils/random.js
+
+// A simple, seeded random number generator (mulberry32) for reproducibility.
+// Without a numeric seed it falls back to Math.random.
+export function makeRNG(seed) {
+  if (typeof seed !== "number") return Math.random;
+  let t = seed >>> 0;
+  return function () {
+    t += 0x6d2b79f5;
+    let x = Math.imul(t ^ (t >>> 15), 1 | t);
+    x ^= x + Math.imul(x ^ (x >>> 7), 61 | x);
+    return ((x ^ (x >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/** A fresh 32-bit seed, for runs that weren't given one. */
+export function randomSeed() {
+  return Math.floor(Math.random() * 4294967296);
+}
+
+/**
+ * Derive an independent seed for one stage of a run (e.g. attempt 3's
+ * candidate shuffling) so stages don't share one random stream.
+ */
+export function deriveSeed(seed, ...labels) {
+  let h = (seed >>> 0) ^ 0x9e3779b9;
+  for (const ch of labels.join(":")) {
+    h = Math.imul(h ^ ch.charCodeAt(0), 0x01000193) >>> 0;
+  }
+  return h >>> 0;
+}
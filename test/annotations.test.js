@@ -0,0 +1,50 @@
+// test/annotations.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { fromStrings, toStrings } from "../src/grid/gridModel.js";
+import {
+  applyAnnotations,
+  assertAnnotationCells,
+} from "../src/solver/annotations.js";
+
+const open5 = () => fromStrings(["_____", "_____", "_____", "_____", "_____"]);
+
+test("a spelled annotation fixes letters only on the cells it names", () => {
+  const grid = open5();
+  const result = applyAnnotations(grid, [
+    {
+      kind: "circled",
+      cells: [
+        [2, 3],
+        [0, 1],
+      ],
+      spells: "HI",
+    },
+  ]);
+  assert.equal(result.ok, true);
+  // Reading order: (0,1) gets H, (2,3) gets I.
+  assert.deepEqual(toStrings(grid), [
+    "_H___",
+    "_____",
+    "___I_",
+    "_____",
+    "_____",
+  ]);
+});
+
+test("an annotation without cells is rejected instead of placed", () => {
+  const grid = open5();
+  const result = applyAnnotations(grid, [{ kind: "circled", spells: "HI" }]);
+  assert.equal(result.ok, false);
+  assert.equal(result.failed.reason, "missing_cells");
+  // Nothing was written into the grid.
+  assert.ok(toStrings(grid).every((row) => row === "_____"));
+
+  assert.throws(
+    () => assertAnnotationCells([{ kind: "circled", spells: "HI" }]),
+    /need their cells/
+  );
+  assert.doesNotThrow(() =>
+    assertAnnotationCells([{ kind: "shaded", cells: [[0, 0]] }])
+  );
+});
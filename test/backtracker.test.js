@@ -0,0 +1,72 @@
+// test/backtracker.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { fromStrings } from "../src/grid/gridModel.js";
+import { buildTieredIndexes } from "../src/dictionary/indexes.js";
+import { solveWithBacktracking } from "../src/solver/backtracker.js";
+import { createWordSource } from "../src/solver/wordSources.js";
+
+// Offline: the hydrator finds nothing to add.
+const wordSource = createWordSource("fixture:test/no-such-fixture.json");
+
+test("backjumping still finds a planted fill", async () => {
+  // One across entry with three downs hanging off it; the downs never
+  // cross each other.
+  const grid = fromStrings(["_____", "_._._", "_._._", ".....", "....."]);
+  // Planted: ABCDE over AFG, CHI, EJK. The decoy LMQNQ scores higher, so
+  // it is tried first; its downs LOP and QRS look fine pair by pair, but
+  // both Q downs need QRS. That dead end is A_0_0's fault alone, so the
+  // search must jump straight back over D_0_0 and still reach the plant.
+  const indexes = buildTieredIndexes({
+    3: ["AFG", "CHI", "EJK", "LOP", "QRS"],
+    5: ["ABCDE", "LMQNQ"],
+    scores: { LMQNQ: 90 },
+  });
+
+  const result = await solveWithBacktracking({
+    grid,
+    indexes,
+    seed: 1,
+    wordSource,
+  });
+  assert.equal(result.ok, true);
+  assert.deepEqual(Object.fromEntries(result.assignments), {
+    A_0_0: "ABCDE",
+    D_0_0: "AFG",
+    D_0_2: "CHI",
+    D_0_4: "EJK",
+  });
+  assert.equal(result.stats.backjumps, 1);
+});
+
+test("multiple fills differ in at least minDistinctEntries entries", async () => {
+  const indexes = buildTieredIndexes({
+    3: "ACE APE BAD BOG CAR COT EEL EMU OAK ODE SOD SUN TAN TOE".split(" "),
+    5: ["BASTE", "BLAST", "BOAST", "CRATE", "CHASE"],
+  });
+  for (const minDistinctEntries of [3, 4]) {
+    const grid = fromStrings(["_____", "_._._", "_._._", ".....", "....."]);
+    const result = await solveWithBacktracking({
+      grid,
+      indexes,
+      seed: 1,
+      maxFills: 3,
+      minDistinctEntries,
+      wordSource,
+    });
+    assert.equal(result.ok, true);
+    assert.equal(result.fills.length, 3);
+    for (const [i, a] of result.fills.entries()) {
+      assert.equal(a.assignments.size, 4);
+      for (const b of result.fills.slice(i + 1)) {
+        const differing = [...a.assignments].filter(
+          ([id, word]) => b.assignments.get(id) !== word
+        ).length;
+        assert.ok(
+          differing >= minDistinctEntries,
+          `fills share ${4 - differing} entries`
+        );
+      }
+    }
+  }
+});
@@ -0,0 +1,80 @@
+// test/blocklist.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { loadBlocklist } from "../src/utils/blocklist.js";
+
+const blocklist = loadBlocklist();
+
+test("ordinary words that share a prefix with a listed word pass", () => {
+  const ordinary = [
+    "PAKISTAN",
+    "PAKISTANI",
+    "CHINKS",
+    "CHINKED",
+    "DYKES",
+    "WANKEL",
+    "SHITAKE",
+    "SHITTAH",
+    "SHITTIM",
+    "MISHIT",
+    "TWATTLE",
+    "HEEBIEJEEBIES",
+    "NIGGARD",
+    "NIGGARDLY",
+    "RETARDANT",
+    "RETARDATION",
+    "SPAZA",
+    "SPASTICITY",
+    "SPASTICALLY",
+    "CRIPPLEWARE",
+    "LUNATICAL",
+    "IMBECILELY",
+    "FAGGOTING",
+    "GOOKY",
+  ];
+  for (const word of ordinary) {
+    assert.equal(blocklist.check(word), null, `${word} should not be blocked`);
+  }
+});
+
+test("listed words and their inflections are blocked", () => {
+  const expected = {
+    PAKI: "slurs",
+    PAKIS: "slurs",
+    CHINK: "slurs",
+    DYKE: "slurs",
+    WANKER: "profanity",
+    SHITTY: "profanity",
+    BULLSHIT: "profanity",
+    HORSESHIT: "profanity",
+    RETARDED: "medical",
+    SPASTIC: "medical",
+    CRIPPLES: "medical",
+    LEPERS: "medical",
+    FAGGOTS: "slurs",
+    GOOKS: "slurs",
+  };
+  for (const [word, category] of Object.entries(expected)) {
+    assert.equal(blocklist.check(word), category, word);
+  }
+});
+
+test("wildcards still match at either end", () => {
+  assert.equal(blocklist.check("FUCKING"), "profanity");
+  assert.equal(blocklist.check("STARFUCKER"), "profanity");
+});
+
+test("per-puzzle allow and block overrides apply", () => {
+  const custom = loadBlocklist({ allow: ["PSYCHO"], block: ["OKRA*"] });
+  assert.equal(custom.check("PSYCHO"), null);
+  assert.equal(custom.check("OKRAS"), "puzzle");
+  assert.throws(() => loadBlocklist({ categories: ["nope"] }), /Unknown/);
+});
+
+test("per-puzzle block patterns match their letters literally", () => {
+  const custom = loadBlocklist({ categories: [], block: ["A.B*", "C+*"] });
+  assert.equal(custom.check("A.BC"), "puzzle");
+  assert.equal(custom.check("AXBC"), null);
+  assert.equal(custom.check("C+D"), "puzzle");
+  assert.equal(custom.check("CCD"), null);
+});
@@ -0,0 +1,50 @@
+// test/difficulty.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { getDifficultyConfig } from "../src/config/difficulty.js";
+import { RULES } from "../src/config/rules.js";
+import { generateInitialLayout } from "../src/solver/layoutGenerator.js";
+
+const countBlocks = (grid) => grid.flat().filter((ch) => ch === ".").length;
+
+test("every size gets a block budget it can lay out", () => {
+  for (const size of RULES.allowedGridSizes) {
+    for (let level = 1; level <= 7; level++) {
+      const { blockBudget } = getDifficultyConfig(level, { size });
+      assert.ok(blockBudget.min <= blockBudget.max, `${size}, level ${level}`);
+      assert.ok(blockBudget.min > 0, `${size}, level ${level}`);
+      if (size < 12) {
+        assert.ok(blockBudget.max <= size * size * 0.25, `${size}: too dense`);
+      }
+    }
+    const { blockBudget } = getDifficultyConfig(3, { size });
+    const { grid } = generateInitialLayout({ size, blockBudget, seed: 1 });
+    assert.equal(grid.length, size);
+    assert.ok(countBlocks(grid) <= blockBudget.max, `${size}×${size} layout`);
+  }
+});
+
+test("british budgets add a few blocks to the lattice", () => {
+  for (const size of RULES.allowedGridSizes.filter((n) => n % 2 === 1)) {
+    const lattice = Math.floor(size / 2) ** 2;
+    const { blockBudget } = getDifficultyConfig(3, { size, style: "british" });
+    assert.ok(blockBudget.min > lattice, `${size}: ${blockBudget.min}`);
+    // Extra blocks stay under a tenth of the cells.
+    assert.ok((blockBudget.max - lattice) * 10 < size * size, `${size}`);
+
+    const { grid } = generateInitialLayout({
+      size,
+      style: "british",
+      blockBudget,
+      seed: 1,
+    });
+    assert.ok(countBlocks(grid) <= blockBudget.max, `${size}×${size} layout`);
+  }
+});
+
+test("british layouts need an odd size", () => {
+  assert.throws(
+    () => generateInitialLayout({ size: 12, style: "british" }),
+    /odd size/
+  );
+});
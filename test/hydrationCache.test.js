@@ -0,0 +1,85 @@
+// test/hydrationCache.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import { openHydrationCache } from "../src/utils/hydrationCache.js";
+import { cachedSource } from "../src/solver/wordSources.js";
+
+async function tempCachePath() {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "hydration-cache-"));
+  return path.join(dir, "cache.json");
+}
+
+test("answers stay in memory until the cache is saved", async () => {
+  const cachePath = await tempCachePath();
+  const cache = openHydrationCache({ path: cachePath });
+  await cache.set("fake", "A????", ["APPLE"]);
+  await cache.set("fake", "Q????", []);
+  await assert.rejects(fs.access(cachePath));
+
+  await cache.save();
+  const reopened = openHydrationCache({ path: cachePath });
+  assert.deepEqual(await reopened.get("fake", "A????"), ["APPLE"]);
+  assert.deepEqual(await reopened.get("fake", "Q????"), []);
+});
+
+test("overlapping saves write one whole file", async () => {
+  const cachePath = await tempCachePath();
+  const cache = openHydrationCache({ path: cachePath });
+  await Promise.all(
+    Array.from({ length: 20 }, async (_, i) => {
+      await cache.set("fake", `P${i}`, [`W${i}`]);
+      await cache.save();
+    })
+  );
+  const doc = JSON.parse(await fs.readFile(cachePath, "utf8"));
+  assert.equal(Object.keys(doc.entries).length, 20);
+  assert.deepEqual(await fs.readdir(path.dirname(cachePath)), ["cache.json"]);
+});
+
+test("caches sharing a file keep each other's answers", async () => {
+  const cachePath = await tempCachePath();
+  const first = openHydrationCache({ path: cachePath });
+  const second = openHydrationCache({ path: cachePath });
+  await first.set("fake", "A????", ["APPLE"]);
+  await second.set("fake", "B????", ["BERRY"]);
+  await first.save();
+  await second.save();
+
+  const reopened = openHydrationCache({ path: cachePath });
+  assert.deepEqual(await reopened.get("fake", "A????"), ["APPLE"]);
+  assert.deepEqual(await reopened.get("fake", "B????"), ["BERRY"]);
+
+  // What one of them prunes stays gone, even though the other saves later.
+  await reopened.prune(() => false);
+  await first.set("fake", "C????", ["CHERRY"]);
+  await first.save();
+  const after = openHydrationCache({ path: cachePath });
+  assert.equal(await after.get("fake", "A????"), null);
+  assert.equal(await after.get("fake", "B????"), null);
+  assert.deepEqual(await after.get("fake", "C????"), ["CHERRY"]);
+});
+
+test("a cached source saves its answers on flush()", async () => {
+  const cachePath = await tempCachePath();
+  let calls = 0;
+  const fake = {
+    name: "fake",
+    async fetchByPattern(pattern) {
+      calls++;
+      return pattern.startsWith("A") ? ["APPLE"] : [];
+    },
+  };
+  const source = cachedSource(fake, openHydrationCache({ path: cachePath }));
+  await source.fetchByPattern("A????");
+  await source.fetchByPattern("Q????");
+  await source.fetchByPattern("Q????");
+  assert.equal(calls, 2);
+  await source.flush();
+
+  const again = cachedSource(fake, openHydrationCache({ path: cachePath }));
+  assert.deepEqual(await again.fetchByPattern("Q????"), []);
+  assert.equal(calls, 2);
+});
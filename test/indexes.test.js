@@ -0,0 +1,17 @@
+// test/indexes.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  buildTieredIndexes,
+  candidatesForPattern,
+} from "../src/dictionary/indexes.js";
+
+test("candidates keep the pool's sort order with or without fixed cells", () => {
+  const indexes = buildTieredIndexes({ 3: ["BZC", "ABC", "BAC", "B9C"] });
+  const all = candidatesForPattern(indexes, 3, "___");
+  assert.deepEqual(all, ["ABC", "B9C", "BAC", "BZC"]);
+  assert.deepEqual(
+    candidatesForPattern(indexes, 3, "B_C"),
+    all.filter((w) => w.startsWith("B"))
+  );
+});
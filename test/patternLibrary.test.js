@@ -0,0 +1,47 @@
+// test/patternLibrary.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs/promises";
+import path from "path";
+import {
+  loadPatternLibrary,
+  selectPatterns,
+  PATTERNS_DIR,
+} from "../src/solver/patternLibrary.js";
+import { RULES } from "../src/config/rules.js";
+
+test("every allowed size has seed patterns for every symmetry mode", async () => {
+  for (const size of RULES.allowedGridSizes) {
+    for (const symmetry of RULES.symmetryModes) {
+      const file = path.join(PATTERNS_DIR, String(size), `${symmetry}.json`);
+      const raw = JSON.parse(await fs.readFile(file, "utf8"));
+      const patterns = await loadPatternLibrary({ size, symmetry });
+      assert.ok(patterns.length > 0, `${file} has no patterns`);
+      // None may be skipped as invalid for its size or symmetry.
+      assert.equal(patterns.length, raw.length, `${file} has invalid patterns`);
+    }
+  }
+});
+
+test("pattern filters fall back one at a time", (t) => {
+  const warn = t.mock.method(console, "warn", () => {});
+  const library = [
+    { name: "open-hard", tags: ["open"], levels: [6, 7] },
+    { name: "standard", tags: ["standard"], levels: [1, 2, 3] },
+    { name: "any", tags: [], levels: null },
+  ];
+  const names = (opts) => selectPatterns(library, opts).map((p) => p.name);
+
+  assert.deepEqual(names({ tags: ["open"], level: 7 }), ["open-hard"]);
+  assert.equal(warn.mock.callCount(), 0);
+  // The level goes first: the tag still applies.
+  assert.deepEqual(names({ tags: ["open"], level: 2 }), ["open-hard"]);
+  // Then the tags, keeping the level.
+  assert.deepEqual(names({ tags: ["dense"], level: 2 }), ["standard", "any"]);
+  assert.deepEqual(names({ tags: ["dense"] }), [
+    "open-hard",
+    "standard",
+    "any",
+  ]);
+  assert.equal(warn.mock.callCount(), 3);
+});
@@ -0,0 +1,105 @@
+// test/poolsCli.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { execFile } from "child_process";
+import { promisify } from "util";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import { fileURLToPath } from "url";
+import { BLOCKLIST_DIR } from "../src/utils/blocklist.js";
+
+const CLI = fileURLToPath(new URL("../src/tools/pools.js", import.meta.url));
+const run = promisify(execFile);
+
+/**
+ * A scratch working directory laid out like the repo, so the CLI's
+ * src/data paths land there: its own pools.json and the blocklists.
+ */
+async function workspace(words) {
+  const cwd = await fs.mkdtemp(path.join(os.tmpdir(), "pools-cli-"));
+  await fs.cp(BLOCKLIST_DIR, path.join(cwd, BLOCKLIST_DIR), {
+    recursive: true,
+  });
+  const poolsPath = path.join(cwd, "src/data/pools.json");
+  if (words) {
+    await fs.writeFile(poolsPath, JSON.stringify({ version: 2, words }));
+  }
+  const pools = (...args) => run("node", [CLI, ...args], { cwd });
+  const read = async (p = poolsPath) =>
+    JSON.parse(await fs.readFile(p, "utf8")).words;
+  return { cwd, poolsPath, pools, read };
+}
+
+test("search treats only ? as a wildcard", async () => {
+  const { pools } = await workspace({
+    NO_GO: { source: "ai" },
+    NOAGO: { source: "local:lists/a.txt", score: 40 },
+  });
+  const exact = await pools("search", "no_go");
+  assert.match(exact.stdout, /^NO_GO\b/m);
+  assert.doesNotMatch(exact.stdout, /NOAGO/);
+  assert.match(exact.stdout, /1 match/);
+
+  const wild = await pools("search", "NO?GO");
+  assert.match(wild.stdout, /2 match/);
+
+  const local = await pools("search", "NO?GO", "--source=local");
+  assert.match(local.stdout, /^NOAGO\s+40\s+local:lists\/a\.txt/m);
+  assert.match(local.stdout, /1 match/);
+});
+
+test("search and stats never create a pools file", async () => {
+  const { poolsPath, pools } = await workspace();
+  await assert.rejects(pools("search", "A????"), /Failed/);
+  await assert.rejects(pools("stats"), /Failed/);
+  await assert.rejects(fs.access(poolsPath));
+});
+
+test("stats counts words by length and source", async () => {
+  const { pools } = await workspace({
+    CAT: { source: "ai", score: 50 },
+    DOG: { source: "ai" },
+    XRAY: { source: "legacy" },
+  });
+  const { stdout } = await pools("stats", "--min=2");
+  assert.match(stdout, /3 words, 1 scored/);
+  assert.match(stdout, /^\s+3: 2 \(50% scored\)$/m);
+  assert.match(stdout, /^\s+4: 1 \(0% scored\)\s+⚠ below 2$/m);
+  assert.match(stdout, /• ai: 2/);
+});
+
+test("remove keeps a backup that restore brings back", async () => {
+  const words = { CAT: { source: "ai" }, DOG: { source: "ai" } };
+  const { poolsPath, pools, read } = await workspace(words);
+
+  await pools("remove", "dog", "--dry-run");
+  assert.deepEqual(Object.keys(await read()), ["CAT", "DOG"]);
+
+  const { stdout } = await pools("remove", "dog");
+  assert.match(stdout, /Removed 1 word/);
+  assert.deepEqual(Object.keys(await read()), ["CAT"]);
+  assert.deepEqual(await read(`${poolsPath}.bak`), words);
+
+  await pools("restore");
+  assert.deepEqual(await read(), words);
+  assert.deepEqual(Object.keys(await read(`${poolsPath}.bak`)), ["CAT"]);
+});
+
+test("import adds scored words, records their source and skips blocked ones", async () => {
+  const { cwd, pools, read } = await workspace({ CAT: { source: "ai" } });
+  const list = path.join(cwd, "list.txt");
+  await fs.writeFile(list, "XRAY;60\ncat\nGOOK\n");
+
+  const dry = await pools("import", list, "--dry-run");
+  assert.match(dry.stdout, /Would add 1 word/);
+  assert.deepEqual(Object.keys(await read()), ["CAT"]);
+
+  const { stdout } = await pools("import", list, "--source=manual");
+  assert.match(stdout, /Skipped 1 blocked word/);
+  const after = await read();
+  assert.deepEqual(Object.keys(after).sort(), ["CAT", "XRAY"]);
+  assert.equal(after.XRAY.source, "manual");
+  assert.equal(after.XRAY.score, 60);
+  assert.equal(after.CAT.source, "ai");
+});
@@ -0,0 +1,92 @@
+// test/poolsStore.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import {
+  loadPoolsSafe,
+  savePoolsAtomic,
+  readPoolsFile,
+  sourceMatches,
+  LEGACY_SOURCE,
+} from "../src/utils/poolsStore.js";
+import {
+  buildTieredIndexes,
+  restrictIndexesBySource,
+} from "../src/dictionary/indexes.js";
+
+async function tempPoolsPath() {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "pools-store-"));
+  return path.join(dir, "pools.json");
+}
+
+test("a legacy pools file is migrated by the next save, not by reading", async () => {
+  const poolsPath = await tempPoolsPath();
+  const legacy = JSON.stringify({
+    3: ["cat", "dog"],
+    4: ["XRAY"],
+    scores: { XRAY: 60 },
+  });
+  await fs.writeFile(poolsPath, legacy);
+
+  const pools = await loadPoolsSafe(poolsPath);
+  assert.deepEqual(pools["3"], ["CAT", "DOG"]);
+  assert.equal(pools.scores.XRAY, 60);
+  assert.equal(pools.meta.CAT.source, LEGACY_SOURCE);
+  assert.equal(await fs.readFile(poolsPath, "utf8"), legacy);
+
+  await savePoolsAtomic(pools, poolsPath);
+  const doc = JSON.parse(await fs.readFile(poolsPath, "utf8"));
+  assert.equal(doc.version, 2);
+  assert.deepEqual(doc.words.XRAY, { source: LEGACY_SOURCE, score: 60 });
+  assert.equal(await fs.readFile(`${poolsPath}.bak`, "utf8"), legacy);
+  assert.deepEqual(await readPoolsFile(poolsPath), pools);
+});
+
+test("a missing pools file reads as empty without creating it", async () => {
+  const poolsPath = await tempPoolsPath();
+  const pools = await loadPoolsSafe(poolsPath);
+  assert.deepEqual(pools["5"], []);
+  await assert.rejects(fs.access(poolsPath));
+});
+
+test("a pools file that isn't JSON is reported, not replaced", async () => {
+  const poolsPath = await tempPoolsPath();
+  await fs.writeFile(poolsPath, "{ not json");
+  await assert.rejects(loadPoolsSafe(poolsPath));
+  assert.equal(await fs.readFile(poolsPath, "utf8"), "{ not json");
+});
+
+test("a failed save rejects", async () => {
+  const poolsPath = await tempPoolsPath();
+  await fs.writeFile(poolsPath, "{}");
+  // The pools path's directory is a file, so nothing can be written.
+  await assert.rejects(
+    savePoolsAtomic(await loadPoolsSafe(poolsPath), `${poolsPath}/pools.json`),
+    /Failed to save/
+  );
+});
+
+test("a source filter matches the source and its qualified forms", () => {
+  assert.ok(sourceMatches("ai", "ai"));
+  assert.ok(sourceMatches("local:lists/general.txt", "local"));
+  assert.ok(
+    sourceMatches("local:lists/general.txt", "local:lists/general.txt")
+  );
+  assert.ok(!sourceMatches("localish", "local"));
+  assert.ok(!sourceMatches("local", "local:lists/general.txt"));
+
+  const indexes = buildTieredIndexes({
+    3: ["CAT", "DOG", "EMU", "GNU"],
+    meta: {
+      CAT: { source: "ai" },
+      DOG: { source: "local:lists/general.txt" },
+      EMU: { source: "localish" },
+    },
+  });
+  const kept = restrictIndexesBySource(indexes, ["local", "legacy"], {
+    always: ["CAT"],
+  });
+  assert.deepEqual(kept.byLen.both.get(3), ["CAT", "DOG", "GNU"]);
+});
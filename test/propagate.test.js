@@ -0,0 +1,52 @@
+// test/propagate.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { fromStrings, toStrings } from "../src/grid/gridModel.js";
+import { buildSlots } from "../src/grid/slots.js";
+import { buildTieredIndexes } from "../src/dictionary/indexes.js";
+import { initDomains } from "../src/solver/domains.js";
+import { tryPlaceAndPropagate } from "../src/solver/propagate.js";
+
+// A 3×3 open corner: across A_0_0, A_1_0, A_2_0 and down D_0_0, D_0_1, D_0_2.
+// After CAT, every down slot keeps one word (COW, ARE, TIE), but together
+// they ask A_1_0 for "ORI", which no word spells.
+function setup() {
+  const grid = fromStrings(["___..", "___..", "___..", ".....", "....."]);
+  const { slots, byId: slotsById } = buildSlots(grid);
+  const indexes = buildTieredIndexes({
+    3: ["ARE", "CAT", "COW", "OAK", "TIE", "WEE"],
+  });
+  const { domains } = initDomains({ grid, slots, indexes });
+  const place = (propagation) =>
+    tryPlaceAndPropagate({
+      grid,
+      slot: slotsById.get("A_0_0"),
+      word: "CAT",
+      domains,
+      slotsById,
+      indexes,
+      propagation,
+    });
+  return { grid, domains, place };
+}
+
+test("forward checking alone accepts a placement with no full fill", () => {
+  const { domains, place } = setup();
+  assert.equal(place("forward").ok, true);
+  assert.deepEqual(domains.get("D_0_1"), ["ARE"]);
+  assert.ok(domains.get("A_1_0").length > 0);
+});
+
+test("arc consistency empties a domain two crossings away", () => {
+  const { grid, domains, place } = setup();
+  const before = new Map([...domains].map(([id, d]) => [id, [...d]]));
+
+  const result = place("ac3");
+  assert.equal(result.ok, false);
+  assert.equal(result.reason, "arcConsistencyEmptied");
+  assert.deepEqual(result.details.emptied, ["A_1_0"]);
+
+  // The placement is undone: grid and domains are as they were.
+  assert.ok(toStrings(grid).every((row) => !/[A-Z]/.test(row)));
+  assert.deepEqual(domains, before);
+});
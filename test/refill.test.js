@@ -0,0 +1,102 @@
+// test/refill.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { buildTieredIndexes } from "../src/dictionary/indexes.js";
+import { refillRegion } from "../src/solver/refill.js";
+
+// Offline: no word source has anything to add, and nothing is cached.
+const offline = {
+  wordSources: ["fixture:test/no-such-fixture.json"],
+  hydrationCache: false,
+};
+
+test("a per-puzzle block keeps a pool word out of the refill", async () => {
+  const indexes = buildTieredIndexes({ 3: ["CAT", "DOG"] });
+  const gridDoc = {
+    ok: true,
+    // One 3-letter entry; every other cell is a block.
+    grid: ["CAT..", ".....", ".....", ".....", "....."],
+    assignments: [{ slotId: "A_0_0", word: "CAT" }],
+  };
+
+  const free = await refillRegion({
+    gridDoc,
+    slotIds: ["A_0_0"],
+    indexes,
+    ...offline,
+  });
+  assert.equal(free.ok, true);
+  assert.equal(free.assignments.get("A_0_0"), "DOG");
+
+  const blocked = await refillRegion({
+    gridDoc,
+    slotIds: ["A_0_0"],
+    indexes,
+    blocklist: { block: ["DOG"] },
+    ...offline,
+  });
+  assert.equal(blocked.ok, false);
+  assert.equal(blocked.reason, "no_refill");
+});
+
+test("circled letters that spell a hidden word survive a refill", async () => {
+  const indexes = buildTieredIndexes({ 3: ["BAT", "CAT", "DOG"] });
+  const base = {
+    ok: true,
+    grid: ["CAT..", ".....", ".....", ".....", "....."],
+    assignments: [{ slotId: "A_0_0", word: "CAT" }],
+    annotations: { circled: [[0, 1]], shaded: [] },
+  };
+  const refill = (gridDoc, annotations, pool = indexes) =>
+    refillRegion({
+      gridDoc,
+      slotIds: ["A_0_0"],
+      indexes: pool,
+      annotations,
+      ...offline,
+    });
+
+  // Recorded in grid_final.json by the planner...
+  const recorded = await refill({
+    ...base,
+    spells: [{ kind: "circled", spells: "A", cells: [[0, 1]] }],
+  });
+  assert.equal(recorded.assignments.get("A_0_0"), "BAT");
+
+  // ...or, for older documents, taken from the puzzle's annotation specs.
+  const fromSpecs = await refill(base, [{ kind: "circled", spells: "A" }]);
+  assert.equal(fromSpecs.assignments.get("A_0_0"), "BAT");
+
+  // Circles without a hidden word don't pin their letter.
+  const free = await refill(
+    base,
+    [{ kind: "circled" }],
+    buildTieredIndexes({ 3: ["CAT", "DOG"] })
+  );
+  assert.equal(free.assignments.get("A_0_0"), "DOG");
+});
+
+test("a word the puzzle allows can fill a slot again", async () => {
+  // PSYCHO is on the shared lists, so the index is built without it.
+  const indexes = buildTieredIndexes({ 6: ["CASTLE", "PSYCHO"] });
+  const gridDoc = {
+    ok: true,
+    grid: ["CASTLE......", ...Array(11).fill("............")],
+    assignments: [{ slotId: "A_0_0", word: "CASTLE" }],
+  };
+  const refill = (blocklist) =>
+    refillRegion({
+      gridDoc,
+      slotIds: ["A_0_0"],
+      indexes,
+      blocklist,
+      ...offline,
+    });
+
+  assert.equal((await refill({})).reason, "no_refill");
+  const allowed = await refill({ allow: ["PSYCHO"] });
+  assert.equal(allowed.ok, true);
+  assert.equal(allowed.assignments.get("A_0_0"), "PSYCHO");
+  const narrowed = await refill({ categories: ["profanity", "slurs"] });
+  assert.equal(narrowed.assignments.get("A_0_0"), "PSYCHO");
+});
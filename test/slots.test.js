@@ -0,0 +1,82 @@
+// test/slots.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { fromStrings, toStrings, makeBars } from "../src/grid/gridModel.js";
+import {
+  buildSlots,
+  getSlotPattern,
+  fitsWord,
+  placeWord,
+} from "../src/grid/slots.js";
+import {
+  buildTieredIndexes,
+  candidatesForPattern,
+} from "../src/dictionary/indexes.js";
+
+test("a rebus cell holds its whole token in both its entries", () => {
+  // The {CT} cell is the second cell of A_0_0 and the first of D_0_1.
+  const grid = fromStrings(["_{CT}_..", "._...", "._...", ".....", "....."]);
+  const { byId } = buildSlots(grid);
+  const across = byId.get("A_0_0");
+  const down = byId.get("D_0_1");
+
+  // Three cells, four letters.
+  assert.equal(across.length, 3);
+  assert.equal(getSlotPattern(grid, across), "_{CT}_");
+  assert.equal(getSlotPattern(grid, down), "{CT}__");
+  const indexes = buildTieredIndexes({
+    3: ["ACT", "ATE"],
+    4: ["ACES", "ACTS", "CTAB", "FACT"],
+  });
+  assert.deepEqual(candidatesForPattern(indexes, 3, "_{CT}_"), ["ACTS"]);
+  assert.ok(fitsWord(grid, across, "ACTS"));
+  assert.ok(!fitsWord(grid, across, "ACT"));
+  assert.ok(!fitsWord(grid, across, "ACES"));
+
+  assert.ok(placeWord(grid, across, "ACTS").ok);
+  assert.ok(placeWord(grid, down, "CTAB").ok);
+  assert.deepEqual(toStrings(grid).slice(0, 3), ["A{CT}S..", ".A...", ".B..."]);
+});
+
+test("bars end entries like blocks do", () => {
+  const grid = fromStrings(["_____", "_____", "_____", "_____", "_____"]);
+  const bars = makeBars();
+  bars.right.add("0,1"); // between (0,1) and (0,2)
+  bars.bottom.add("1,4"); // between (1,4) and (2,4)
+
+  const lengths = (slots) =>
+    Object.fromEntries(slots.map((s) => [s.id, s.length]));
+  const plain = buildSlots(grid);
+  assert.equal(plain.slots.length, 10);
+  assert.ok(plain.slots.every((s) => s.length === 5));
+
+  // Runs cut shorter than RULES.minEntryLen are no entries at all.
+  const { across, down, byId } = buildSlots(grid, { bars });
+  assert.deepEqual(lengths(across), {
+    A_0_2: 3,
+    A_1_0: 5,
+    A_2_0: 5,
+    A_3_0: 5,
+    A_4_0: 5,
+  });
+  assert.deepEqual(lengths(down), {
+    D_0_0: 5,
+    D_0_1: 5,
+    D_0_2: 5,
+    D_0_3: 5,
+    D_2_4: 3,
+  });
+  // (0,4) is in no down entry, so A_0_2 crosses two downs, not three.
+  assert.deepEqual(
+    byId.get("A_0_2").crosses.map((cr) => cr.otherId),
+    ["D_0_2", "D_0_3"]
+  );
+  assert.deepEqual(
+    byId.get("D_2_4").crosses.map((cr) => [cr.otherId, cr.atThis]),
+    [
+      ["A_2_0", 0],
+      ["A_3_0", 1],
+      ["A_4_0", 2],
+    ]
+  );
+});
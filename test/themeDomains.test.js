@@ -0,0 +1,46 @@
+// test/themeDomains.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { fromStrings } from "../src/grid/gridModel.js";
+import { buildSlots } from "../src/grid/slots.js";
+import { buildTieredIndexes } from "../src/dictionary/indexes.js";
+import { initDomains } from "../src/solver/domains.js";
+import { tryPlaceAndPropagate } from "../src/solver/propagate.js";
+
+// A_0_0 across and D_0_0 down share their first cell; D_0_0 is the theme slot.
+function setup() {
+  const grid = fromStrings(["___..", "_....", "_....", ".....", "....."]);
+  const { slots, byId: slotsById } = buildSlots(grid);
+  const indexes = buildTieredIndexes({
+    3: ["CAT", "COW", "CUP", "DIG", "DOG"],
+  });
+  const theme = { themeSlotIds: ["D_0_0"], themeWords: ["CAT"] };
+  const { domains } = initDomains({ grid, slots, indexes, ...theme });
+  const place = (word) =>
+    tryPlaceAndPropagate({
+      grid,
+      slot: slotsById.get("A_0_0"),
+      word,
+      domains,
+      slotsById,
+      indexes,
+      ...theme,
+    });
+  return { domains, place };
+}
+
+test("a crossing word leaves a theme slot with theme words only", () => {
+  const { domains, place } = setup();
+  assert.deepEqual(domains.get("D_0_0"), ["CAT"]);
+  assert.equal(place("COW").ok, true);
+  // CUP fits C__ too, but it isn't a theme word.
+  assert.deepEqual(domains.get("D_0_0"), ["CAT"]);
+});
+
+test("a crossing word no theme word fits is rejected", () => {
+  const { domains, place } = setup();
+  const attempt = place("DOG");
+  assert.equal(attempt.ok, false);
+  assert.deepEqual(attempt.details.emptied, ["D_0_0"]);
+  assert.deepEqual(domains.get("D_0_0"), ["CAT"]);
+});
@@ -0,0 +1,101 @@
+// test/wordSources.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import {
+  localSource,
+  fixtureSource,
+  chainSources,
+  createWordSource,
+} from "../src/solver/wordSources.js";
+
+const tempDir = () => fs.mkdtemp(path.join(os.tmpdir(), "word-sources-"));
+
+/** A source answering from a fixed list, counting its calls. */
+function fakeSource(name, words) {
+  const source = {
+    name,
+    calls: 0,
+    async fetchByPattern() {
+      source.calls++;
+      return words;
+    },
+  };
+  return source;
+}
+
+test("a local source reads every list in a directory", async () => {
+  const dir = await tempDir();
+  await fs.writeFile(path.join(dir, "a.txt"), "apple\nample, maple\n");
+  await fs.writeFile(path.join(dir, "b.txt"), "ADEPT;70\nangle\n");
+  await fs.writeFile(path.join(dir, "notes.md"), "AMBLE\n");
+
+  const source = localSource({ path: dir });
+  assert.deepEqual(await source.fetchByPattern("A?P??"), ["AMPLE", "APPLE"]);
+  assert.deepEqual(await source.fetchByPattern("A????", { max: 2 }), [
+    "ADEPT",
+    "AMPLE",
+  ]);
+  assert.deepEqual(await source.fetchByPattern("AMB??"), []);
+});
+
+test("a fixture source replays, and records what it lacks", async () => {
+  const fixturePath = path.join(await tempDir(), "fixture.json");
+  await fs.writeFile(fixturePath, JSON.stringify({ "A?P??": ["APPLE"] }));
+  const live = fakeSource("live", ["QUAIL"]);
+
+  const source = fixtureSource({ path: fixturePath, recordFrom: live });
+  assert.deepEqual(await source.fetchByPattern("A?P??"), ["APPLE"]);
+  assert.equal(live.calls, 0);
+  assert.deepEqual(await source.fetchByPattern("Q????"), ["QUAIL"]);
+  assert.deepEqual(JSON.parse(await fs.readFile(fixturePath, "utf8")), {
+    "A?P??": ["APPLE"],
+    "Q????": ["QUAIL"],
+  });
+
+  const replay = fixtureSource({ path: fixturePath });
+  assert.deepEqual(await replay.fetchByPattern("Q????"), ["QUAIL"]);
+  assert.deepEqual(await replay.fetchByPattern("Z????"), []);
+});
+
+test("a chain asks each source until one has words", async (t) => {
+  const warn = t.mock.method(console, "warn", () => {});
+  const broken = {
+    name: "broken",
+    async fetchByPattern() {
+      throw new Error("offline");
+    },
+  };
+  const empty = fakeSource("empty", []);
+  const full = fakeSource("full", ["APPLE"]);
+  const unused = fakeSource("unused", ["AMPLE"]);
+
+  const chain = chainSources([broken, empty, full, unused]);
+  assert.deepEqual(await chain.fetchByPattern("A?P??"), ["APPLE"]);
+  assert.equal(unused.calls, 0);
+  assert.equal(warn.mock.callCount(), 1);
+  assert.equal(chain.originOf("APPLE"), "full");
+  assert.equal(chain.name, "broken → empty → full → unused");
+});
+
+test("word sources are built from config entries", async () => {
+  const dir = await tempDir();
+  const listPath = path.join(dir, "words.txt");
+  await fs.writeFile(listPath, "APPLE\n");
+
+  assert.equal(createWordSource(`local:${listPath}`).name, `local:${listPath}`);
+  assert.equal(createWordSource().name, "onelook");
+  const ready = fakeSource("ready", []);
+  assert.equal(createWordSource(ready), ready);
+
+  const chain = createWordSource([
+    { type: "fixture", path: path.join(dir, "none.json") },
+    `local:${listPath}`,
+  ]);
+  assert.deepEqual(await chain.fetchByPattern("A?P??"), ["APPLE"]);
+  assert.equal(chain.originOf("APPLE"), `local:${listPath}`);
+
+  assert.throws(() => createWordSource("ftp:words"), /Unknown word source/);
+});